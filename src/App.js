@@ -1,58 +1,246 @@
-import React, { useState, useEffect } from 'react';
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
 import {
   ArrowUpDown,
   Mail,
   FileSpreadsheet,
-  CheckCircle,
-  XCircle,
   Users,
   Calendar,
   BarChart3,
   Percent,
+  Settings,
+  UserPlus,
+  Copy,
+  RefreshCw,
+  LogOut,
+  Upload,
+  Contrast,
+  Keyboard,
 } from 'lucide-react';
 
-// Main App Component
-function App() {
+import * as api from './api';
+import {
+  canEditStatus,
+  getEditableStatusFields,
+  getRoleLabel,
+  hasPermission,
+} from './config/roles';
+import {
+  STATUS_FIELD_KEYS,
+  STATUS_SCHEMA,
+  getNextStatusValue,
+  getStatusLabel,
+  getStatusState,
+} from './config/statusSchema';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import BatchManager from './components/BatchManager';
+import BulkActionBar from './components/BulkActionBar';
+import BulkFailureReport from './components/BulkFailureReport';
+import CallOutcomeDialog from './components/CallOutcomeDialog';
+import CandidateDrawer from './components/CandidateDrawer';
+import CandidateRow from './components/CandidateRow';
+import CandidateFilters from './components/CandidateFilters';
+import CandidateForm from './components/CandidateForm';
+import DateRangeFilter from './components/DateRangeFilter';
+import DuplicatesView from './components/DuplicatesView';
+import FailedWritesBanner from './components/FailedWritesBanner';
+import ImportWizard from './components/ImportWizard';
+import LoginScreen from './components/LoginScreen';
+import NewApplicationsBanner from './components/NewApplicationsBanner';
+import ReminderPanel from './components/ReminderPanel';
+import SavedViews from './components/SavedViews';
+import ShortcutsDialog from './components/ShortcutsDialog';
+import StaleDataBanner from './components/StaleDataBanner';
+import StatusBreakdown from './components/StatusBreakdown';
+import Toasts from './components/Toasts';
+import WhatsAppDialog from './components/WhatsAppDialog';
+import useGridNavigation from './hooks/useGridNavigation';
+import useHighContrast from './hooks/useHighContrast';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import useLiveCandidates from './hooks/useLiveCandidates';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useSavedViews from './hooks/useSavedViews';
+import useSession from './hooks/useSession';
+import useVirtualRows from './hooks/useVirtualRows';
+import useStatusUpdates from './hooks/useStatusUpdates';
+import useToasts from './hooks/useToasts';
+import {
+  formatCountdown,
+  getDaysUntil,
+  getFillRate,
+  mergeBatches,
+} from './utils/batches';
+import {
+  EMPTY_FILTERS,
+  filterCandidates,
+  sortCandidates,
+} from './utils/candidates';
+import { ALL_TIME, resolveDateRange } from './utils/dateRange';
+import { findDuplicateGroups } from './utils/duplicates';
+import { downloadCSV, downloadXLSX, getExportFileName } from './utils/export';
+import { formatDateTime } from './utils/format';
+import { loadSnapshot, saveSnapshot } from './utils/offlineStore';
+import { getCandidateStats } from './utils/stats';
+import { getChangedFields } from './utils/validation';
+import {
+  VIEW_KEYS,
+  describeViewState,
+  parseViewState,
+  serializeViewState,
+} from './utils/viewState';
+
+// Sortable table columns, in display order
+const TABLE_COLUMNS = [
+  { key: 'dateOfApplication', label: 'Date' },
+  { key: 'fullName', label: 'Name' },
+  { key: 'contactNumber', label: 'Contact' },
+  { key: 'nameOfCollege', label: 'College' },
+  { key: 'yearOfCompletion', label: 'Year' },
+  { key: 'batch', label: 'Batch' },
+  ...STATUS_FIELD_KEYS.map((key) => ({
+    key,
+    label: STATUS_SCHEMA[key].label,
+  })),
+];
+
+// Tabs of the main area, in VIEW_KEYS order
+const getViewTabs = (duplicateCount) => [
+  { key: 'candidates', label: 'Candidates', icon: Users },
+  { key: 'analytics', label: 'Analytics', icon: BarChart3 },
+  { key: 'reminders', label: 'Reminders', icon: Mail },
+  { key: 'duplicates', label: `Duplicates (${duplicateCount})`, icon: Copy },
+];
+
+// Main dashboard for a signed-in user; controls follow the user's role
+function Dashboard({ user, highContrast, onToggleHighContrast, onSignOut }) {
+  // Batch, search, filters, sort and tab start from the URL and are kept in it
+  const [initialView] = useState(() => parseViewState(window.location.search));
   const [candidates, setCandidates] = useState([]);
-  const [filteredCandidates, setFilteredCandidates] = useState([]);
-  const [selectedBatch, setSelectedBatch] = useState('All batches');
-  const [batches, setBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(initialView.batch);
+  const [batchRecords, setBatchRecords] = useState([]);
+  const [showBatchManager, setShowBatchManager] = useState(false);
+  const [candidateForm, setCandidateForm] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [search, setSearch] = useState(initialView.search);
+  const [filters, setFilters] = useState(initialView.filters);
+  const [dateRange, setDateRange] = useState(initialView.dateRange);
+  const [sortConfig, setSortConfig] = useState(initialView.sort);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkReport, setBulkReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [statsData, setStatsData] = useState({
-    candidateCount: 0,
-    whatsappSent: 0,
-    phoneEnquiryDone: 0,
-    topYears: [],
-    attendanceRate: 0,
-    onlineAttended: 0,
+  const [activeView, setActiveView] = useState(initialView.view);
+  const [activeCandidateId, setActiveCandidateId] = useState(null);
+  const [activityVersion, setActivityVersion] = useState(0);
+  const [contactAction, setContactAction] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Read out by screen readers for changes made from the keyboard
+  const [announcement, setAnnouncement] = useState('');
+  const author = user.name;
+  const { toasts, showToast, dismissToast } = useToasts();
+
+  // Record saved status changes in each candidate's activity history
+  const recordStatusChanges = useCallback(
+    (changes) => {
+      const entries = changes
+        .filter((change) => change.previousValue !== change.value)
+        .map((change) => ({
+          candidateId: change.id,
+          type: 'status',
+          author,
+          field: change.field,
+          oldValue: change.previousValue,
+          newValue: change.value,
+        }));
+      if (entries.length === 0) return;
+      api
+        .addActivity(entries)
+        .then(() => setActivityVersion((version) => version + 1))
+        .catch(() => showToast('Status saved, but the history entry was not'));
+    },
+    [author, showToast]
+  );
+  const {
+    pendingCells,
+    queuedCells,
+    failedWrites,
+    writeStatus,
+    writeBulkStatus,
+    retryFailedWrites,
+    discardFailedWrites,
+    syncQueuedWrites,
+    resolveConflict,
+  } = useStatusUpdates({
+    userId: user.id,
+    setCandidates,
+    onError: showToast,
+    onSaved: recordStatusChanges,
   });
+  // Time of the last successful fetch; the offline snapshot carries it too
+  const [syncedAt, setSyncedAt] = useState(null);
+  const [fromSnapshot, setFromSnapshot] = useState(false);
+  const { newIds, lastSyncedAt, syncError, refresh, markSeen } =
+    useLiveCandidates({
+      enabled: !loading && !error,
+      candidates,
+      setCandidates,
+      pendingCells,
+      queuedCells,
+      // Offline changes go out once fresh rows show they don't conflict
+      onSynced: (incoming) => {
+        if (queuedCells.size > 0 && navigator.onLine) {
+          syncQueuedWrites(incoming);
+        }
+      },
+    });
 
-  // Fetch data from Google Sheets via Express proxy
+  useEffect(() => {
+    if (!lastSyncedAt) return;
+    setSyncedAt(lastSyncedAt.toISOString());
+    setFromSnapshot(false);
+  }, [lastSyncedAt]);
+
+  // Fetch data from the configured data source (Express proxy by default),
+  // falling back to the last snapshot saved in IndexedDB
   useEffect(() => {
     const fetchData = async () => {
       try {
         setLoading(true);
-        // Replace with your actual API endpoint
-        const response = await fetch(
-          'https://api-for-gsheet.onrender.com/api/candidates'
-        );
-        if (!response.ok) {
-          throw new Error('Failed to fetch data');
-        }
-        const data = await response.json();
+        const data = await api.fetchCandidates();
         setCandidates(data);
+        setSyncedAt(new Date().toISOString());
 
-        // Extract unique batches
-        const uniqueBatches = [
-          ...new Set(data.map((candidate) => candidate.batch)),
-        ].filter(Boolean);
-        setBatches(uniqueBatches);
+        // Batch details are optional; without them batches come from names
+        api
+          .fetchBatches()
+          .then((records) => {
+            setBatchRecords(records || []);
+            saveSnapshot('batches', records || []);
+          })
+          .catch(async () => {
+            const snapshot = await loadSnapshot('batches');
+            setBatchRecords(snapshot ? snapshot.data : []);
+          });
 
-        setFilteredCandidates(data);
         setLoading(false);
       } catch (err) {
-        setError(err.message);
+        const snapshot = await loadSnapshot('candidates');
+        if (snapshot) {
+          setCandidates(snapshot.data);
+          setSyncedAt(snapshot.syncedAt);
+          setFromSnapshot(true);
+          loadSnapshot('batches').then((batches) =>
+            setBatchRecords(batches ? batches.data : [])
+          );
+        } else {
+          setError(err.message);
+        }
         setLoading(false);
       }
     };
@@ -60,151 +248,445 @@ function App() {
     fetchData();
   }, []);
 
-  // Filter candidates when batch selection changes
+  // Keep the snapshot current, local and queued changes included
   useEffect(() => {
-    if (selectedBatch === 'All batches') {
-      setFilteredCandidates(candidates);
-    } else {
-      setFilteredCandidates(
-        candidates.filter((candidate) => candidate.batch === selectedBatch)
-      );
-    }
-  }, [selectedBatch, candidates]);
+    if (!loading && !error) saveSnapshot('candidates', candidates, syncedAt);
+  }, [candidates, syncedAt, loading, error]);
+
+  const batchCandidates = useMemo(
+    () =>
+      selectedBatch === 'All batches'
+        ? candidates
+        : candidates.filter((candidate) => candidate.batch === selectedBatch),
+    [candidates, selectedBatch]
+  );
 
-  // Calculate statistics when filtered candidates change
+  const batches = mergeBatches(batchRecords, candidates);
+  const selectedBatchDetails = batches.find(
+    (batch) => batch.name === selectedBatch
+  );
+
+  const batchOpenDate = selectedBatchDetails
+    ? selectedBatchDetails.openDate
+    : '';
+  const resolvedDateRange = useMemo(
+    () => resolveDateRange(dateRange, { batchOpenDate }),
+    [dateRange, batchOpenDate]
+  );
+
+  // Everything but the date range, for week-over-week comparisons
+  const undatedCandidates = useMemo(
+    () => filterCandidates(batchCandidates, { search, filters }),
+    [batchCandidates, search, filters]
+  );
+
+  // Filter and sort candidates when batch, search, filters, dates or sort
+  // change
+  const filteredCandidates = useMemo(
+    () =>
+      sortCandidates(
+        filterCandidates(undatedCandidates, { dateRange: resolvedDateRange }),
+        sortConfig
+      ),
+    [undatedCandidates, resolvedDateRange, sortConfig]
+  );
+
+  const viewQuery = serializeViewState({
+    batch: selectedBatch,
+    search,
+    filters,
+    dateRange,
+    sort: sortConfig,
+    view: activeView,
+  });
+
+  // Replace rather than push so typing in the search box doesn't flood history
   useEffect(() => {
-    if (filteredCandidates.length > 0) {
-      // Count stats
-      const whatsappSent = filteredCandidates.filter(
-        (c) => c.whatsappMsg === 'sent'
-      ).length;
-      const phoneEnquiryDone = filteredCandidates.filter(
-        (c) => c.phoneEnquiry === 'done'
-      ).length;
-
-      // Count years of completion
-      const yearsCount = {};
-      filteredCandidates.forEach((c) => {
-        if (c.yearOfCompletion) {
-          yearsCount[c.yearOfCompletion] =
-            (yearsCount[c.yearOfCompletion] || 0) + 1;
-        }
-      });
+    if (viewQuery === window.location.search) return;
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${viewQuery}${hash}`);
+  }, [viewQuery]);
 
-      const onlineAttended = filteredCandidates.filter(
-        (c) => c.online === 'attended'
-      ).length;
-
-      // Get top 3 years
-      const topYears = Object.entries(yearsCount)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 3)
-        .map(([year, count]) => ({ year, count }));
-
-      // Calculate attendance rate
-      const attended = filteredCandidates.filter(
-        (c) => c.program === 'attended'
-      ).length;
-      const total = filteredCandidates.filter(
-        (c) => c.program === 'attended' || c.program === 'ghosted'
-      ).length;
-      const attendanceRate = total > 0 ? (attended / total) * 100 : 0;
-
-      setStatsData({
-        candidateCount: filteredCandidates.length,
-        whatsappSent,
-        phoneEnquiryDone,
-        topYears,
-        attendanceRate,
-        onlineAttended,
-      });
-    }
-  }, [filteredCandidates]);
-
-  // Toggle status and update Google Sheet
-  const toggleStatus = async (id, field, currentValue) => {
-    // Define value pairs for toggling
-    const toggleValues = {
-      whatsappMsg: { sent: 'pending', pending: 'sent' },
-      phoneEnquiry: { done: 'not done', 'not done': 'done' },
-      online: { attended: 'absent', absent: 'attended' },
-      program: { attended: 'ghosted', ghosted: 'attended' },
-    };
+  const applyViewState = useCallback((query) => {
+    const view = parseViewState(query);
+    setSelectedBatch(view.batch);
+    setSearch(view.search);
+    setFilters(view.filters);
+    setDateRange(view.dateRange);
+    setSortConfig(view.sort);
+    setActiveView(view.view);
+  }, []);
+
+  useEffect(() => {
+    const handlePopState = () => applyViewState(window.location.search);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyViewState]);
 
-    // Determine new value
-    const newValue =
-      toggleValues[field][currentValue] ||
-      (field === 'whatsappMsg'
-        ? 'sent'
-        : field === 'phoneEnquiry'
-        ? 'done'
-        : field === 'online'
-        ? 'attended'
-        : 'attended');
+  const { views: savedViews, saveView, deleteView } = useSavedViews();
 
+  const copyViewLink = async () => {
     try {
-      // Update locally first for responsive UI
-      const updatedCandidates = candidates.map((candidate) =>
-        candidate.id === id ? { ...candidate, [field]: newValue } : candidate
-      );
+      await navigator.clipboard.writeText(window.location.href);
+      showToast('Link copied', { type: 'success' });
+    } catch (err) {
+      showToast("Couldn't copy the link; copy it from the address bar");
+    }
+  };
 
-      setCandidates(updatedCandidates);
+  // Cycle a column through ascending, descending and unsorted
+  const handleSort = (key) => {
+    setSortConfig((current) => {
+      if (!current || current.key !== key) return { key, direction: 'asc' };
+      if (current.direction === 'asc') return { key, direction: 'desc' };
+      return null;
+    });
+  };
 
-      // Send update to backend
-      const response = await fetch(
-        'https://api-for-gsheet.onrender.com/api/update-candidate',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            id,
-            field,
-            value: newValue,
-          }),
-        }
+  // Back online: refetch, which also replays offline changes, and retry
+  // writes that failed earlier
+  const handleReconnect = useCallback(() => {
+    refresh();
+    retryFailedWrites();
+  }, [refresh, retryFailedWrites]);
+  const isOnline = useOnlineStatus(handleReconnect);
+
+  // Stats cards and status breakdown for the candidates in view
+  const statsData = useMemo(
+    () => getCandidateStats(filteredCandidates),
+    [filteredCandidates]
+  );
+
+  // Save a new status value and update Google Sheet
+  const updateStatus = useCallback(
+    (candidate, field, value) => {
+      if (!canEditStatus(user, field)) {
+        showToast(`${getRoleLabel(user)}s cannot change this status`);
+        return;
+      }
+      // Updates locally first, then saves with retries and rolls back on failure
+      writeStatus({
+        id: candidate.id,
+        field,
+        value,
+        previousValue: candidate[field],
+        fullName: candidate.fullName,
+      });
+    },
+    [user, showToast, writeStatus]
+  );
+
+  // Space on a status cell moves it on to the field's next state
+  const cycleStatus = useCallback(
+    (candidate, field) => {
+      const value = getNextStatusValue(field, candidate[field]);
+      updateStatus(candidate, field, value);
+      setAnnouncement(
+        `${STATUS_SCHEMA[field].label} set to ${getStatusLabel(
+          field,
+          value
+        )} for ${candidate.fullName}`
       );
+    },
+    [updateStatus]
+  );
+
+  // Row selection for bulk actions
+  const toggleSelected = useCallback((id) => {
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(String(id))) next.delete(String(id));
+      else next.add(String(id));
+      return next;
+    });
+  }, []);
+
+  const allFilteredSelected =
+    filteredCandidates.length > 0 &&
+    filteredCandidates.every((candidate) =>
+      selectedIds.has(String(candidate.id))
+    );
+
+  const toggleSelectAllFiltered = () => {
+    setSelectedIds(
+      allFilteredSelected
+        ? new Set()
+        : new Set(filteredCandidates.map((candidate) => String(candidate.id)))
+    );
+  };
+
+  // Set one field on every selected candidate with a single request
+  const applyBulkStatus = async (field, value) => {
+    const targets = candidates.filter((candidate) =>
+      selectedIds.has(String(candidate.id))
+    );
+    setBulkBusy(true);
+    setBulkReport(null);
+    const result = await writeBulkStatus(targets, field, value);
+    setBulkBusy(false);
+
+    if (result.failed.length === 0) {
+      showToast(`Updated ${result.updated} candidates`, { type: 'success' });
+      setSelectedIds(new Set());
+      return;
+    }
+
+    // Keep only the rows that failed selected so they can be retried
+    const names = new Map(
+      targets.map((candidate) => [String(candidate.id), candidate.fullName])
+    );
+    setBulkReport({
+      field,
+      value,
+      updated: result.updated,
+      failed: result.failed.map((failure) => ({
+        ...failure,
+        fullName: names.get(String(failure.id)),
+      })),
+    });
+    setSelectedIds(new Set(result.failed.map((failure) => String(failure.id))));
+  };
+
+  const activeCandidate =
+    activeCandidateId === null
+      ? null
+      : candidates.find(
+          (candidate) => String(candidate.id) === String(activeCandidateId)
+        );
+  const closeDrawer = useCallback(() => setActiveCandidateId(null), []);
 
-      if (!response.ok) {
-        throw new Error('Failed to update');
+  // WhatsApp or call dialog for one candidate
+  const openContact = useCallback(
+    (candidate, type) => setContactAction({ type, id: candidate.id }),
+    []
+  );
+  const contactCandidate =
+    contactAction &&
+    candidates.find(
+      (candidate) => String(candidate.id) === String(contactAction.id)
+    );
+
+  const saveCallOutcome = async (value, note) => {
+    if (
+      getStatusState('phoneEnquiry', contactCandidate.phoneEnquiry).value !==
+      value
+    ) {
+      updateStatus(contactCandidate, 'phoneEnquiry', value);
+    }
+    if (note) {
+      try {
+        await api.addActivity([
+          {
+            candidateId: contactCandidate.id,
+            type: 'note',
+            author,
+            text: note,
+          },
+        ]);
+        setActivityVersion((version) => version + 1);
+      } catch (err) {
+        showToast('Failed to save the call note. Please try again.');
+        return;
       }
-    } catch (err) {
-      // Revert on error
-      setError('Failed to update. Please try again.');
-      setCandidates([...candidates]); // Reset to original state
     }
+    setContactAction(null);
   };
 
-  // Send reminder emails
-  const sendReminders = async (days, batchName) => {
-    try {
-      const response = await fetch(
-        'https://api-for-gsheet.onrender.com/api/send-reminders',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
+  const duplicateGroups = useMemo(
+    () => findDuplicateGroups(batchCandidates),
+    [batchCandidates]
+  );
+
+  const editableFields = getEditableStatusFields(user);
+  // The table's scroll container; it unmounts while another tab is open
+  const [tableScroll, setTableScroll] = useState(null);
+  const { start, end, paddingTop, paddingBottom, rowHeight, measureRow } =
+    useVirtualRows(tableScroll, filteredCandidates.length);
+  const grid = useGridNavigation(
+    tableScroll,
+    filteredCandidates.length,
+    TABLE_COLUMNS.length + 1,
+    rowHeight
+  );
+
+  // Create a candidate, or save the changed fields of an existing one
+  const saveCandidate = async (values) => {
+    const existing = candidateForm && candidateForm.candidate;
+
+    if (!existing) {
+      const { candidate: created } = await api.addCandidate(values);
+      setCandidates((current) => [...current, created]);
+      showToast(`Added ${created.fullName}`, { type: 'success' });
+      setCandidateForm(null);
+      return;
+    }
+
+    const changes = getChangedFields(existing, values);
+    if (Object.keys(changes).length > 0) {
+      const { candidate: saved } = await api.editCandidate({
+        id: existing.id,
+        changes,
+      });
+      setCandidates((current) =>
+        current.map((candidate) =>
+          String(candidate.id) === String(existing.id)
+            ? { ...candidate, ...saved }
+            : candidate
+        )
+      );
+      api
+        .addActivity([
+          {
+            candidateId: existing.id,
+            type: 'edit',
+            author,
+            changes: Object.entries(changes).map(([field, value]) => ({
+              field,
+              oldValue: existing[field],
+              newValue: value,
+            })),
           },
-          body: JSON.stringify({
-            days,
-            batch: batchName,
-          }),
-        }
+        ])
+        .then(() => setActivityVersion((version) => version + 1))
+        .catch(() => showToast('Changes saved, but the history entry was not'));
+      showToast(`Saved ${saved.fullName}`, { type: 'success' });
+    }
+    setCandidateForm(null);
+  };
+
+  // Bulk-create rows from the import wizard; the wizard reports failures
+  const importCandidates = async (rows) => {
+    const result = await api.importCandidates(rows);
+    if (result.added.length > 0) {
+      setCandidates((current) => [...current, ...result.added]);
+      showToast(
+        `Imported ${result.added.length} ${
+          result.added.length === 1 ? 'candidate' : 'candidates'
+        }`,
+        { type: 'success' }
       );
+    }
+    return result;
+  };
 
-      if (!response.ok) {
-        throw new Error('Failed to send reminders');
-      }
+  // Open the table filtered to one college or stream from the insights
+  const drillInto = (field, value) => {
+    setFilters((current) => ({ ...current, [field]: value }));
+    setActiveView('candidates');
+  };
 
-      alert(
-        `Reminder emails sent to ${batchName} candidates for ${days} days before program`
+  // Clear anything that could hide the new rows and put them at the top
+  const showNewApplications = () => {
+    setSelectedBatch('All batches');
+    setSearch('');
+    setFilters(EMPTY_FILTERS);
+    setDateRange(ALL_TIME);
+    setSortConfig({ key: 'dateOfApplication', direction: 'desc' });
+    setActiveView('candidates');
+  };
+
+  // Fold duplicate records into the primary and drop the rest locally
+  const mergeDuplicates = async ({ primary, others, values }) => {
+    const mergedIds = others.map((candidate) => candidate.id);
+    try {
+      const { candidate: merged } = await api.mergeCandidates({
+        primaryId: primary.id,
+        mergedIds,
+        values,
+      });
+      const removed = new Set(mergedIds.map(String));
+      setCandidates((current) =>
+        current
+          .filter((candidate) => !removed.has(String(candidate.id)))
+          .map((candidate) =>
+            String(candidate.id) === String(primary.id)
+              ? { ...candidate, ...merged }
+              : candidate
+          )
+      );
+      setSelectedIds((current) => {
+        const next = new Set(current);
+        removed.forEach((id) => next.delete(id));
+        return next;
+      });
+      api
+        .addActivity([
+          {
+            candidateId: primary.id,
+            type: 'merge',
+            author,
+            mergedIds,
+            changes: Object.entries(values).map(([field, value]) => ({
+              field,
+              oldValue: primary[field],
+              newValue: value,
+            })),
+          },
+        ])
+        .then(() => setActivityVersion((version) => version + 1))
+        .catch(() => showToast('Merged, but the history entry was not saved'));
+      showToast(
+        `Merged ${mergedIds.length + 1} records into ${primary.fullName}`,
+        { type: 'success' }
       );
     } catch (err) {
-      setError('Failed to send reminders. Please try again.');
+      showToast(`Failed to merge ${primary.fullName}. Please try again.`);
     }
   };
 
+  // Step through the sidebar list, "All batches" first, wrapping round
+  const stepBatch = (step) => {
+    const names = ['All batches', ...batches.map((batch) => batch.name)];
+    const index = Math.max(names.indexOf(selectedBatch), 0);
+    const next = names[(index + step + names.length) % names.length];
+    setSelectedBatch(next);
+    setAnnouncement(`Showing ${next}`);
+  };
+
+  // "/" can come from another tab, so focus once the search box renders
+  const searchRef = useRef(null);
+  const [searchFocusRequest, setSearchFocusRequest] = useState(0);
+  useEffect(() => {
+    if (searchFocusRequest > 0 && searchRef.current) searchRef.current.focus();
+  }, [searchFocusRequest]);
+
+  const closeShortcuts = useCallback(() => setShowShortcuts(false), []);
+
+  useKeyboardShortcuts({
+    '[': () => stepBatch(-1),
+    ']': () => stepBatch(1),
+    '/': () => {
+      setActiveView('candidates');
+      setSearchFocusRequest((count) => count + 1);
+    },
+    t: () => {
+      setActiveView('candidates');
+      grid.focusCell(grid.activeRow, grid.activeCol);
+    },
+    '?': () => setShowShortcuts(true),
+  });
+
+  // Arrow keys move along the view tabs, which activate on focus
+  const handleTabKeyDown = (e) => {
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const index = VIEW_KEYS.indexOf(activeView);
+    const next =
+      VIEW_KEYS[(index + step + VIEW_KEYS.length) % VIEW_KEYS.length];
+    setActiveView(next);
+    document.getElementById(`tab-${next}`).focus();
+  };
+
+  const saveBatch = async (batch) => {
+    const { batch: saved } = await api.saveBatch(batch);
+    setBatchRecords((current) => [
+      ...current.filter((record) => record.name !== saved.name),
+      saved,
+    ]);
+    showToast(`Saved ${saved.name}`, { type: 'success' });
+  };
+
   if (loading)
     return (
       <div className="flex h-screen justify-center items-center">
@@ -224,83 +706,214 @@ function App() {
   return (
     <div className="flex h-screen bg-gray-100">
       {/* Sidebar */}
-      <div className="w-64 bg-white shadow-md">
+      <aside
+        aria-label="Sidebar"
+        className="w-64 bg-white shadow-md overflow-y-auto"
+      >
         <div className="p-4 border-b">
           <h1 className="text-xl font-semibold text-gray-800">
             Candidate Dashboard
           </h1>
         </div>
 
-        <div className="p-4">
-          <h2 className="text-md font-medium text-gray-600 mb-3">Batches</h2>
-          <ul>
-            <li
-              className={`p-2 rounded mb-1 cursor-pointer ${
-                selectedBatch === 'All batches'
-                  ? 'bg-blue-100 text-blue-700'
-                  : 'hover:bg-gray-100'
-              }`}
-              onClick={() => setSelectedBatch('All batches')}
+        <nav aria-labelledby="batches-heading" className="p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2
+              id="batches-heading"
+              className="text-md font-medium text-gray-600"
             >
-              All batches
-            </li>
-            {batches.map((batch) => (
-              <li
-                key={batch}
-                className={`p-2 rounded mb-1 cursor-pointer ${
-                  selectedBatch === batch
+              Batches
+            </h2>
+            {hasPermission(user, 'editBatches') && (
+              <button
+                onClick={() => setShowBatchManager(true)}
+                aria-label="Manage batches"
+                className="text-gray-400 hover:text-gray-700"
+              >
+                <Settings className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+          <ul>
+            <li className="mb-1">
+              <button
+                onClick={() => setSelectedBatch('All batches')}
+                aria-current={selectedBatch === 'All batches' || undefined}
+                className={`w-full p-2 rounded text-left ${
+                  selectedBatch === 'All batches'
                     ? 'bg-blue-100 text-blue-700'
                     : 'hover:bg-gray-100'
                 }`}
-                onClick={() => setSelectedBatch(batch)}
               >
-                {batch.split(' ').slice(0, 2).join(' ')}
-              </li>
-            ))}
+                All batches
+              </button>
+            </li>
+            {batches.map((batch) => {
+              const fillRate = getFillRate(
+                batch.candidateCount,
+                batch.capacity
+              );
+              return (
+                <li key={batch.name} className="mb-1">
+                  <button
+                    onClick={() => setSelectedBatch(batch.name)}
+                    title={batch.name}
+                    aria-current={selectedBatch === batch.name || undefined}
+                    className={`w-full p-2 rounded text-left ${
+                      selectedBatch === batch.name
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'hover:bg-gray-100'
+                    }`}
+                  >
+                    <div className="truncate">{batch.name}</div>
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>
+                        {formatCountdown(getDaysUntil(batch.startDate))}
+                      </span>
+                      <span>
+                        {batch.candidateCount}
+                        {batch.capacity ? `/${batch.capacity}` : ''}
+                      </span>
+                    </div>
+                    {fillRate !== null && (
+                      <div className="h-1 bg-gray-200 rounded mt-1">
+                        <div
+                          className={`h-1 rounded ${
+                            fillRate >= 100 ? 'bg-red-500' : 'bg-blue-500'
+                          }`}
+                          style={{ width: `${Math.min(fillRate, 100)}%` }}
+                        />
+                      </div>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
           </ul>
+        </nav>
+
+        <SavedViews
+          views={savedViews}
+          currentQuery={viewQuery}
+          suggestedName={describeViewState({
+            batch: selectedBatch,
+            search,
+            filters,
+            dateRange,
+          })}
+          onApply={(view) => applyViewState(view.query)}
+          onSave={(name) => saveView(name, viewQuery)}
+          onDelete={deleteView}
+          onCopyLink={copyViewLink}
+        />
+
+        <div className="p-4 border-t flex items-center justify-between">
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-800 truncate">
+              {user.name}
+            </p>
+            <p className="text-xs text-gray-500">{getRoleLabel(user)}</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowShortcuts(true)}
+              aria-label="Keyboard shortcuts"
+              title="Keyboard shortcuts (?)"
+              className="text-gray-400 hover:text-gray-700"
+            >
+              <Keyboard className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onToggleHighContrast}
+              aria-label="High contrast"
+              aria-pressed={highContrast}
+              title="High contrast"
+              className={
+                highContrast
+                  ? 'text-blue-700'
+                  : 'text-gray-400 hover:text-gray-700'
+              }
+            >
+              <Contrast className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onSignOut}
+              aria-label="Sign out"
+              className="text-gray-400 hover:text-gray-700"
+            >
+              <LogOut className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 border-t text-xs text-gray-500">
+          <div className="flex items-center justify-between">
+            <span>
+              {lastSyncedAt
+                ? `Synced ${formatDateTime(lastSyncedAt)}`
+                : 'Not refreshed yet'}
+            </span>
+            <button
+              onClick={refresh}
+              aria-label="Refresh candidates"
+              className="text-gray-400 hover:text-gray-700"
+            >
+              <RefreshCw className="h-4 w-4" />
+            </button>
+          </div>
+          {syncError && (
+            <p className="mt-1 text-red-600">Couldn't refresh: {syncError}</p>
+          )}
         </div>
 
         <div className="p-4 border-t">
           <h2 className="text-md font-medium text-gray-600 mb-3">
             Send Reminders
           </h2>
-          {selectedBatch !== 'All batches' ? (
-            <div className="space-y-2">
-              <button
-                onClick={() => sendReminders(10, selectedBatch)}
-                className="w-full p-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-              >
-                10 days before
-              </button>
-              <button
-                onClick={() => sendReminders(7, selectedBatch)}
-                className="w-full p-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-              >
-                7 days before
-              </button>
-              <button
-                onClick={() => sendReminders(5, selectedBatch)}
-                className="w-full p-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-              >
-                5 days before
-              </button>
-              <button
-                onClick={() => sendReminders(3, selectedBatch)}
-                className="w-full p-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-              >
-                3 days before
-              </button>
-            </div>
+          {!hasPermission(user, 'sendReminders') ? (
+            <p className="text-sm text-gray-500">
+              Only admins can send reminders
+            </p>
+          ) : selectedBatch !== 'All batches' ? (
+            <button
+              onClick={() => setActiveView('reminders')}
+              className="w-full p-2 inline-flex items-center justify-center bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              <Mail className="h-4 w-4 mr-2" /> Preview &amp; send
+            </button>
           ) : (
             <p className="text-sm text-gray-500">
               Select a specific batch to send reminders
             </p>
           )}
         </div>
-      </div>
+      </aside>
 
       {/* Main Content */}
-      <div className="flex-1 overflow-auto">
+      <main className="flex-1 overflow-auto">
+        <NewApplicationsBanner
+          count={newIds.size}
+          onShow={showNewApplications}
+          onDismiss={markSeen}
+        />
+        <StaleDataBanner
+          isOnline={isOnline}
+          fromSnapshot={fromSnapshot || Boolean(syncError)}
+          syncedAt={syncedAt}
+        />
+        <FailedWritesBanner
+          failedWrites={failedWrites}
+          onRetry={retryFailedWrites}
+          onDiscard={discardFailedWrites}
+          onResolveConflict={resolveConflict}
+        />
+
+        <DateRangeFilter
+          value={dateRange}
+          canUseBatchPreset={Boolean(batchOpenDate)}
+          onChange={setDateRange}
+        />
+
         {/* Stats Cards */}
         <div className="p-6 grid grid-cols-3 gap-6">
           {/* Card 1 */}
@@ -343,8 +956,8 @@ function App() {
             </div>
             <div className="space-y-3">
               {statsData.topYears.length > 0 ? (
-                statsData.topYears.map((yearData, index) => (
-                  <div key={index} className="flex justify-between">
+                statsData.topYears.map((yearData) => (
+                  <div key={yearData.year} className="flex justify-between">
                     <span className="text-gray-600">Year {yearData.year}:</span>
                     <span className="font-semibold">
                       {yearData.count} candidates
@@ -374,204 +987,364 @@ function App() {
           </div>
         </div>
 
-        {/* Candidate Table */}
-        <div className="px-6 pb-6">
-          <div className="bg-white shadow rounded-lg overflow-hidden">
-            <div className="p-4 border-b">
-              <h2 className="text-lg font-medium">
-                {selectedBatch === 'All batches'
-                  ? 'All Candidates'
-                  : `${selectedBatch} Candidates`}
-                ({filteredCandidates.length})
-              </h2>
-            </div>
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200 table-fixed">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Date
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Name
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Contact
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      College
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Batch
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      WhatsApp
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Phone
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Online
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Program
-                    </th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {filteredCandidates.map((candidate, index) => (
-                    <tr key={index} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {new Date(
-                          candidate.dateOfApplication
-                        ).toLocaleDateString('en-GB', {
-                          day: '2-digit',
-                          month: 'short',
-                          year: 'numeric',
-                        })}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">
-                          {candidate.fullName}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">
-                          {candidate.contactNumber}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {candidate.emailId}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="text-sm text-gray-900">
-                          {candidate.nameOfCollege}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {candidate.stream}, {candidate.yearOfCompletion}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {candidate.batch}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <button
-                          onClick={() =>
-                            toggleStatus(
-                              candidate.id,
-                              'whatsappMsg',
-                              candidate.whatsappMsg
-                            )
-                          }
-                          className={`inline-flex items-center px-2.5 py-1.5 border rounded text-xs font-medium 
-                            ${
-                              candidate.whatsappMsg === 'sent'
-                                ? 'bg-green-100 text-green-800 border-green-200'
-                                : 'bg-yellow-100 text-yellow-800 border-yellow-200'
-                            }`}
-                        >
-                          {candidate.whatsappMsg === 'sent' ? (
-                            <>
-                              <CheckCircle className="h-3 w-3 mr-1" /> Sent
-                            </>
-                          ) : (
-                            <>
-                              <XCircle className="h-3 w-3 mr-1" /> Pending
-                            </>
-                          )}
-                        </button>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <button
-                          onClick={() =>
-                            toggleStatus(
-                              candidate.id,
-                              'phoneEnquiry',
-                              candidate.phoneEnquiry
-                            )
-                          }
-                          className={`inline-flex items-center px-2.5 py-1.5 border rounded text-xs font-medium 
-                            ${
-                              candidate.phoneEnquiry === 'done'
-                                ? 'bg-green-100 text-green-800 border-green-200'
-                                : 'bg-yellow-100 text-yellow-800 border-yellow-200'
-                            }`}
-                        >
-                          {candidate.phoneEnquiry === 'done' ? (
-                            <>
-                              <CheckCircle className="h-3 w-3 mr-1" /> Done
-                            </>
-                          ) : (
-                            <>
-                              <XCircle className="h-3 w-3 mr-1" /> Not Done
-                            </>
-                          )}
-                        </button>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
+        <StatusBreakdown breakdown={statsData.statusBreakdown} />
+
+        {/* View Tabs */}
+        <div
+          role="tablist"
+          aria-label="Views"
+          onKeyDown={handleTabKeyDown}
+          className="px-6 pb-4 flex space-x-2"
+        >
+          {getViewTabs(duplicateGroups.length).map(
+            ({ key, label, icon: Icon }) => (
+              <button
+                key={key}
+                id={`tab-${key}`}
+                role="tab"
+                aria-selected={activeView === key}
+                aria-controls={`view-${key}`}
+                tabIndex={activeView === key ? 0 : -1}
+                onClick={() => setActiveView(key)}
+                className={`inline-flex items-center px-4 py-2 rounded text-sm font-medium ${
+                  activeView === key
+                    ? 'bg-blue-500 text-white'
+                    : 'bg-white text-gray-600 hover:bg-gray-50 shadow'
+                }`}
+              >
+                <Icon className="h-4 w-4 mr-2" /> {label}
+              </button>
+            )
+          )}
+        </div>
+
+        <div
+          role="tabpanel"
+          id={`view-${activeView}`}
+          aria-labelledby={`tab-${activeView}`}
+        >
+          {/* Candidate Table */}
+          {activeView === 'candidates' ? (
+            <div className="px-6 pb-6">
+              <div className="bg-white shadow rounded-lg overflow-hidden">
+                <div className="p-4 border-b flex items-center justify-between">
+                  <h2 className="text-lg font-medium">
+                    {selectedBatch === 'All batches'
+                      ? 'All Candidates'
+                      : `${selectedBatch} Candidates`}
+                    ({filteredCandidates.length})
+                  </h2>
+                  <div className="flex space-x-2">
+                    {hasPermission(user, 'editCandidates') && (
+                      <>
                         <button
-                          onClick={() =>
-                            toggleStatus(
-                              candidate.id,
-                              'online',
-                              candidate.online
-                            )
-                          }
-                          className={`inline-flex items-center px-2.5 py-1.5 border rounded text-xs font-medium 
-                            ${
-                              candidate.online === 'attended'
-                                ? 'bg-green-100 text-green-800 border-green-200'
-                                : 'bg-red-100 text-red-800 border-red-200'
-                            }`}
+                          onClick={() => setCandidateForm({ candidate: null })}
+                          className="inline-flex items-center px-3 py-1.5 bg-blue-500 text-white rounded text-sm hover:bg-blue-600"
                         >
-                          {candidate.online === 'attended' ? (
-                            <>
-                              <CheckCircle className="h-3 w-3 mr-1" /> Attended
-                            </>
-                          ) : (
-                            <>
-                              <XCircle className="h-3 w-3 mr-1" /> Absent
-                            </>
-                          )}
+                          <UserPlus className="h-4 w-4 mr-1" /> Add candidate
                         </button>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
                         <button
-                          onClick={() =>
-                            toggleStatus(
-                              candidate.id,
-                              'program',
-                              candidate.program
-                            )
-                          }
-                          className={`inline-flex items-center px-2.5 py-1.5 border rounded text-xs font-medium 
-                            ${
-                              candidate.program === 'attended'
-                                ? 'bg-green-100 text-green-800 border-green-200'
-                                : 'bg-red-100 text-red-800 border-red-200'
-                            }`}
+                          onClick={() => setShowImport(true)}
+                          className="inline-flex items-center px-3 py-1.5 bg-white border rounded text-sm text-gray-700 hover:bg-gray-50"
                         >
-                          {candidate.program === 'attended' ? (
-                            <>
-                              <CheckCircle className="h-3 w-3 mr-1" /> Attended
-                            </>
-                          ) : (
-                            <>
-                              <XCircle className="h-3 w-3 mr-1" /> Ghosted
-                            </>
-                          )}
+                          <Upload className="h-4 w-4 mr-1" /> Import
                         </button>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+                      </>
+                    )}
+                    <button
+                      onClick={() =>
+                        downloadCSV(
+                          filteredCandidates,
+                          getExportFileName(selectedBatch, 'csv')
+                        )
+                      }
+                      disabled={filteredCandidates.length === 0}
+                      className="inline-flex items-center px-3 py-1.5 border rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <FileSpreadsheet className="h-4 w-4 mr-1" /> CSV
+                    </button>
+                    <button
+                      onClick={() =>
+                        downloadXLSX(
+                          filteredCandidates,
+                          getExportFileName(selectedBatch, 'xlsx')
+                        )
+                      }
+                      disabled={filteredCandidates.length === 0}
+                      className="inline-flex items-center px-3 py-1.5 border rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <FileSpreadsheet className="h-4 w-4 mr-1" /> Excel
+                    </button>
+                  </div>
+                </div>
+                <CandidateFilters
+                  candidates={candidates}
+                  searchRef={searchRef}
+                  search={search}
+                  onSearchChange={setSearch}
+                  filters={filters}
+                  onFiltersChange={setFilters}
+                />
+                <BulkActionBar
+                  fields={editableFields}
+                  selectedCount={selectedIds.size}
+                  filteredCount={filteredCandidates.length}
+                  allFilteredSelected={allFilteredSelected}
+                  onSelectAllFiltered={() =>
+                    setSelectedIds(
+                      new Set(
+                        filteredCandidates.map((candidate) =>
+                          String(candidate.id)
+                        )
+                      )
+                    )
+                  }
+                  onClearSelection={() => setSelectedIds(new Set())}
+                  onApply={applyBulkStatus}
+                  busy={bulkBusy}
+                />
+                <BulkFailureReport
+                  report={bulkReport}
+                  onDismiss={() => setBulkReport(null)}
+                />
+                <div
+                  ref={setTableScroll}
+                  className="overflow-auto"
+                  style={{ maxHeight: '70vh' }}
+                >
+                  <table
+                    role="grid"
+                    aria-label="Candidates"
+                    aria-rowcount={filteredCandidates.length + 1}
+                    onKeyDown={grid.onKeyDown}
+                    className="min-w-full divide-y divide-gray-200 table-fixed"
+                  >
+                    <thead className="bg-gray-50 sticky top-0 z-10">
+                      <tr aria-rowindex={1}>
+                        <th className="px-4 py-3 w-10">
+                          <input
+                            type="checkbox"
+                            checked={allFilteredSelected}
+                            onChange={toggleSelectAllFiltered}
+                            aria-label="Select all candidates in current filter"
+                          />
+                        </th>
+                        {TABLE_COLUMNS.map((column) => (
+                          <th
+                            key={column.key}
+                            aria-sort={
+                              sortConfig && sortConfig.key === column.key
+                                ? sortConfig.direction === 'asc'
+                                  ? 'ascending'
+                                  : 'descending'
+                                : undefined
+                            }
+                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                          >
+                            <button
+                              onClick={() => handleSort(column.key)}
+                              className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+                            >
+                              {column.label}
+                              <ArrowUpDown
+                                className={`h-3 w-3 ml-1 ${
+                                  sortConfig && sortConfig.key === column.key
+                                    ? 'text-blue-500'
+                                    : 'text-gray-300'
+                                }`}
+                              />
+                              {sortConfig && sortConfig.key === column.key && (
+                                <span
+                                  aria-hidden="true"
+                                  className="ml-1 normal-case text-blue-500"
+                                >
+                                  {sortConfig.direction === 'asc' ? '↑' : '↓'}
+                                </span>
+                              )}
+                            </button>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {filteredCandidates.length === 0 && (
+                        <tr>
+                          <td
+                            colSpan={TABLE_COLUMNS.length + 1}
+                            className="px-6 py-8 text-center text-sm text-gray-500"
+                          >
+                            No candidates match the current search and filters
+                          </td>
+                        </tr>
+                      )}
+                      {paddingTop > 0 && (
+                        <tr aria-hidden="true" style={{ height: paddingTop }} />
+                      )}
+                      {filteredCandidates
+                        .slice(start, end)
+                        .map((candidate, index) => (
+                          <CandidateRow
+                            key={candidate.id}
+                            candidate={candidate}
+                            rowIndex={start + index}
+                            activeCol={
+                              start + index === grid.activeRow
+                                ? grid.activeCol
+                                : null
+                            }
+                            selected={selectedIds.has(String(candidate.id))}
+                            isNew={newIds.has(String(candidate.id))}
+                            pendingCells={pendingCells}
+                            editableFields={editableFields}
+                            rowRef={index === 0 ? measureRow : undefined}
+                            onCellFocus={grid.onCellFocus}
+                            onToggleSelect={toggleSelected}
+                            onOpen={setActiveCandidateId}
+                            onStatusChange={updateStatus}
+                            onCycleStatus={cycleStatus}
+                            onContact={openContact}
+                          />
+                        ))}
+                      {paddingBottom > 0 && (
+                        <tr
+                          aria-hidden="true"
+                          style={{ height: paddingBottom }}
+                        />
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
             </div>
-          </div>
+          ) : activeView === 'analytics' ? (
+            <AnalyticsPanel
+              candidates={filteredCandidates}
+              allBatchCandidates={filterCandidates(candidates, {
+                search,
+                filters,
+                dateRange: resolvedDateRange,
+              })}
+              undatedCandidates={undatedCandidates}
+              selectedBatch={selectedBatch}
+              filters={filters}
+              onDrill={drillInto}
+            />
+          ) : activeView === 'duplicates' ? (
+            <DuplicatesView
+              groups={duplicateGroups}
+              canMerge={hasPermission(user, 'editCandidates')}
+              onMerge={mergeDuplicates}
+            />
+          ) : selectedBatch === 'All batches' ? (
+            <div className="px-6 pb-6">
+              <div className="bg-white p-6 rounded-lg shadow text-gray-500">
+                Select a specific batch to send reminders
+              </div>
+            </div>
+          ) : (
+            <ReminderPanel
+              key={selectedBatch}
+              batch={selectedBatch}
+              startDate={selectedBatchDetails && selectedBatchDetails.startDate}
+              recipients={candidates.filter(
+                (candidate) => candidate.batch === selectedBatch
+              )}
+              author={author}
+              canSend={hasPermission(user, 'sendReminders')}
+              onNotify={showToast}
+            />
+          )}
         </div>
+      </main>
+
+      {activeCandidate && (
+        <CandidateDrawer
+          candidate={activeCandidate}
+          author={author}
+          activityVersion={activityVersion}
+          pendingCells={pendingCells}
+          onStatusChange={updateStatus}
+          onContact={openContact}
+          editableFields={editableFields}
+          canAddNotes={hasPermission(user, 'addNotes')}
+          onEdit={
+            hasPermission(user, 'editCandidates')
+              ? () => setCandidateForm({ candidate: activeCandidate })
+              : null
+          }
+          onClose={closeDrawer}
+        />
+      )}
+      {showBatchManager && (
+        <BatchManager
+          batches={batches}
+          onSave={saveBatch}
+          onClose={() => setShowBatchManager(false)}
+        />
+      )}
+      {candidateForm && (
+        <CandidateForm
+          candidate={candidateForm.candidate}
+          candidates={candidates}
+          batchNames={batches.map((batch) => batch.name)}
+          defaultBatch={selectedBatch === 'All batches' ? '' : selectedBatch}
+          onSubmit={saveCandidate}
+          onClose={() => setCandidateForm(null)}
+        />
+      )}
+      {showImport && (
+        <ImportWizard
+          candidates={candidates}
+          batchNames={batches.map((batch) => batch.name)}
+          defaultBatch={selectedBatch === 'All batches' ? '' : selectedBatch}
+          onImport={importCandidates}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      {contactCandidate && contactAction.type === 'whatsapp' && (
+        <WhatsAppDialog
+          candidate={contactCandidate}
+          canMarkSent={canEditStatus(user, 'whatsappMsg')}
+          onMarkSent={() => {
+            updateStatus(contactCandidate, 'whatsappMsg', 'sent');
+            setContactAction(null);
+          }}
+          onClose={() => setContactAction(null)}
+        />
+      )}
+      {contactCandidate && contactAction.type === 'call' && (
+        <CallOutcomeDialog
+          candidate={contactCandidate}
+          canAddNotes={hasPermission(user, 'addNotes')}
+          onSave={saveCallOutcome}
+          onClose={() => setContactAction(null)}
+        />
+      )}
+      {showShortcuts && <ShortcutsDialog onClose={closeShortcuts} />}
+      <div role="status" className="sr-only">
+        {announcement}
       </div>
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </div>
   );
 }
 
+// Sign-in gate in front of the dashboard
+function App() {
+  const { user, signIn, signOut } = useSession();
+  const { highContrast, toggleHighContrast } = useHighContrast();
+
+  if (!user) return <LoginScreen onSignIn={signIn} />;
+  // Keyed so signing in as someone else starts from a clean dashboard
+  return (
+    <Dashboard
+      key={user.id}
+      user={user}
+      highContrast={highContrast}
+      onToggleHighContrast={toggleHighContrast}
+      onSignOut={signOut}
+    />
+  );
+}
+
 export default App;
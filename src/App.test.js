@@ -0,0 +1,470 @@
+import React from 'react';
+import {
+  act,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import { axe } from 'jest-axe';
+
+import App from './App';
+import fixtureCandidates from './api/fixtures/candidates.json';
+import { signInAs, startMockApi } from './test/mockApi';
+
+const BATCH_14 = 'Batch 14 Full Stack Web Development';
+
+let mockApi;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  mockApi = startMockApi();
+});
+
+const renderDashboard = async (role = 'admin') => {
+  signInAs(role);
+  const result = render(<App />);
+  await screen.findByText('Aarav Sharma');
+  return result;
+};
+
+const getRow = (name) => screen.getByText(name).closest('tr');
+
+const getStat = (label) =>
+  screen.getByText(label).parentElement.querySelector('.font-semibold');
+
+const selectBatch = (name) =>
+  fireEvent.click(
+    screen.getAllByText(name).find((el) => el.closest('li') !== null)
+  );
+
+const getCell = (name, label) =>
+  within(getRow(name)).getByLabelText(label).closest('td');
+
+const pressKey = (key, target = document.activeElement) =>
+  fireEvent.keyDown(target, { key });
+
+describe('batch filtering', () => {
+  it('lists every candidate for all batches', async () => {
+    await renderDashboard();
+    expect(screen.getByText(/All Candidates\s*\(16\)/)).toBeInTheDocument();
+    expect(getStat('Total Candidates:')).toHaveTextContent('16');
+  });
+
+  it('narrows the table and stats to the selected batch', async () => {
+    await renderDashboard();
+    selectBatch(BATCH_14);
+
+    expect(
+      screen.getByText(new RegExp(`${BATCH_14} Candidates\\s*\\(8\\)`))
+    ).toBeInTheDocument();
+    expect(screen.getByText('Aarav Sharma')).toBeInTheDocument();
+    expect(screen.queryByText('Diya Patel')).not.toBeInTheDocument();
+    expect(getStat('Total Candidates:')).toHaveTextContent('8');
+  });
+});
+
+describe('stats', () => {
+  it('shows the program attendance rate of the selected batch', async () => {
+    await renderDashboard();
+    // 7 attended out of 10 outcomes
+    expect(screen.getByText('70.0%')).toBeInTheDocument();
+
+    selectBatch(BATCH_14);
+    // 4 attended out of 5 outcomes
+    expect(screen.getByText('80.0%')).toBeInTheDocument();
+  });
+
+  it('shows the most common graduation years', async () => {
+    await renderDashboard();
+    selectBatch(BATCH_14);
+    const card = screen.getByText('Top Graduation Years').closest('.shadow');
+    const rows = within(card)
+      .getAllByText(/^Year \d{4}:$/)
+      .map((label) => label.parentElement.textContent);
+    expect(rows).toEqual(['Year 2022:4 candidates', 'Year 2024:4 candidates']);
+  });
+});
+
+describe('date range', () => {
+  it('recomputes the stats for a custom application date range', async () => {
+    await renderDashboard();
+    fireEvent.change(screen.getByLabelText('Applied from'), {
+      target: { value: '2025-03-01' },
+    });
+    fireEvent.change(screen.getByLabelText('Applied to'), {
+      target: { value: '2025-03-08' },
+    });
+
+    expect(getStat('Total Candidates:')).toHaveTextContent('8');
+    expect(screen.queryByText('Tanvi Deshpande')).not.toBeInTheDocument();
+    expect(window.location.search).toBe('?from=2025-03-01&to=2025-03-08');
+
+    fireEvent.click(screen.getByRole('button', { name: 'All time' }));
+    expect(getStat('Total Candidates:')).toHaveTextContent('16');
+  });
+
+  it('starts "since batch opened" on the batch\'s applications-open date', async () => {
+    await renderDashboard();
+    const preset = screen.getByRole('button', { name: 'Since batch opened' });
+    expect(preset).toBeDisabled();
+
+    // Batch 14 opened on 1 April; its four March applicants fall outside
+    selectBatch(BATCH_14);
+    await waitFor(() => expect(preset).toBeEnabled());
+    fireEvent.click(preset);
+    expect(preset).toHaveAttribute('aria-pressed', 'true');
+    expect(getStat('Total Candidates:')).toHaveTextContent('4');
+    expect(screen.queryByText('Aarav Sharma')).not.toBeInTheDocument();
+    expect(screen.getByText('Vivaan Joshi')).toBeInTheDocument();
+  });
+});
+
+describe('status toggles', () => {
+  it('saves a status change and updates the stats', async () => {
+    await renderDashboard();
+    expect(getStat('Phone Enquiry Done:')).toHaveTextContent('8');
+    const select = within(getRow('Diya Patel')).getByLabelText('Phone status');
+
+    fireEvent.change(select, { target: { value: 'done' } });
+
+    await waitFor(() =>
+      expect(
+        mockApi.state.candidates.find((c) => c.fullName === 'Diya Patel')
+          .phoneEnquiry
+      ).toBe('done')
+    );
+    expect(mockApi.state.requests).toContainEqual({
+      route: 'POST /api/update-candidate',
+      body: { id: 2, field: 'phoneEnquiry', value: 'done' },
+    });
+    await waitFor(() => expect(select).not.toBeDisabled());
+    expect(select).toHaveValue('done');
+    expect(getStat('Phone Enquiry Done:')).toHaveTextContent('9');
+  });
+
+  it('rolls the change back when the backend rejects it', async () => {
+    await renderDashboard();
+    const select = within(getRow('Diya Patel')).getByLabelText('Phone status');
+    const before = select.value;
+    mockApi.fail('POST /api/update-candidate', 422);
+
+    fireEvent.change(select, { target: { value: 'done' } });
+
+    expect(
+      await screen.findByText(/Couldn't save Phone for Diya Patel/)
+    ).toBeInTheDocument();
+    expect(select).toHaveValue(before);
+    expect(getStat('Phone Enquiry Done:')).toHaveTextContent('8');
+    expect(
+      mockApi.state.candidates.find((c) => c.fullName === 'Diya Patel')
+        .phoneEnquiry
+    ).toBe(before);
+  });
+
+  it("keeps each user's failed writes to themselves", async () => {
+    const { unmount } = await renderDashboard();
+    mockApi.fail('POST /api/update-candidate', 422);
+    fireEvent.change(
+      within(getRow('Diya Patel')).getByLabelText('Phone status'),
+      { target: { value: 'done' } }
+    );
+    await screen.findByText(/Couldn't save Phone for Diya Patel/);
+    unmount();
+    mockApi.restore();
+
+    const { unmount: unmountCaller } = await renderDashboard('caller');
+    expect(screen.queryByText(/Diya Patel: Phone/)).not.toBeInTheDocument();
+    unmountCaller();
+
+    await renderDashboard();
+    expect(screen.getByText(/Diya Patel: Phone/)).toBeInTheDocument();
+  });
+});
+
+describe('reminders', () => {
+  it('sends the reminder for the selected batch', async () => {
+    await renderDashboard();
+    selectBatch(BATCH_14);
+    fireEvent.click(screen.getByRole('tab', { name: /Reminders/ }));
+    fireEvent.click(screen.getByRole('button', { name: /Send now/ }));
+    const dialog = screen.getByRole('alertdialog');
+    expect(
+      within(dialog).getByRole('button', { name: 'Cancel' })
+    ).toHaveFocus();
+    fireEvent.click(within(dialog).getAllByRole('button').pop());
+
+    expect(
+      await screen.findByText(
+        new RegExp(`Reminder emails sent to 8 ${BATCH_14} candidates`)
+      )
+    ).toBeInTheDocument();
+    expect(await screen.findByText('sent')).toBeInTheDocument();
+    expect(mockApi.state.reminders).toHaveLength(1);
+    expect(mockApi.state.reminders[0]).toMatchObject({
+      batch: BATCH_14,
+      author: 'Asha Admin',
+    });
+    expect(mockApi.state.reminders[0].subject).toBeTruthy();
+  });
+
+  it('shows viewers the history but does not let them send', async () => {
+    mockApi = startMockApi({
+      reminders: [
+        {
+          id: 1,
+          days: 7,
+          batch: BATCH_14,
+          status: 'sent',
+          sentAt: '2025-04-28T09:00:00.000Z',
+          count: 8,
+          author: 'Asha Admin',
+        },
+      ],
+    });
+    await renderDashboard('viewer');
+    selectBatch(BATCH_14);
+    fireEvent.click(screen.getByRole('tab', { name: /Reminders/ }));
+
+    expect(await screen.findByText('sent')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Send now/ })).toBeDisabled();
+    fireEvent.click(screen.getByRole('button', { name: /Send now/ }));
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+    expect(mockApi.state.reminders).toHaveLength(1);
+  });
+});
+
+describe('analytics', () => {
+  it('opens the table for a stream from its breakdown', async () => {
+    await renderDashboard();
+    fireEvent.click(screen.getByRole('tab', { name: /Analytics/ }));
+    const stream = screen.getByRole('button', { name: 'Mechanical' });
+    expect(stream).toHaveAttribute('aria-pressed', 'false');
+
+    fireEvent.click(stream);
+    expect(screen.getByText(/All Candidates\s*\(4\)/)).toBeInTheDocument();
+  });
+});
+
+describe('long lists', () => {
+  // 160 candidates, enough for the table to render only the visible rows
+  const manyCandidates = Array.from({ length: 10 }, (_, copy) =>
+    fixtureCandidates.map((candidate) => ({
+      ...candidate,
+      id: copy * 100 + candidate.id,
+    }))
+  ).flat();
+  const getCandidateRows = () =>
+    screen
+      .getAllByRole('row')
+      .filter((row) => row.querySelector('[role="gridcell"]'));
+
+  it('renders the visible rows after opening on another tab', async () => {
+    mockApi = startMockApi({ candidates: manyCandidates });
+    window.history.replaceState(null, '', '/?view=analytics');
+    signInAs('admin');
+    render(<App />);
+    fireEvent.click(await screen.findByRole('tab', { name: /Candidates/ }));
+
+    const rendered = getCandidateRows().length;
+    // jsdom has no layout, so the viewport is the 768px window: ~11 rows
+    // plus overscan, against the 10 of overscan alone without a viewport
+    expect(rendered).toBeGreaterThan(10);
+    expect(rendered).toBeLessThan(manyCandidates.length);
+  });
+});
+
+describe('keyboard', () => {
+  it('moves between table cells with the arrow keys', async () => {
+    await renderDashboard();
+    const tabStops = screen
+      .getAllByRole('gridcell')
+      .filter((cell) => cell.tabIndex === 0);
+    expect(tabStops).toHaveLength(1);
+
+    act(() => tabStops[0].focus());
+    pressKey('ArrowRight');
+    expect(document.activeElement).toHaveAttribute('data-col', '1');
+    pressKey('ArrowDown');
+    expect(document.activeElement).toHaveAttribute('data-row', '1');
+    pressKey('End');
+    expect(document.activeElement).toHaveAttribute('data-col', '10');
+    expect(document.activeElement.tabIndex).toBe(0);
+    expect(tabStops[0].tabIndex).toBe(-1);
+  });
+
+  it('cycles a status with space and saves it', async () => {
+    await renderDashboard();
+    const cell = getCell('Diya Patel', 'Phone status');
+    act(() => cell.focus());
+    pressKey(' ');
+
+    expect(
+      screen.getByText('Phone set to Not Reached for Diya Patel')
+    ).toBeInTheDocument();
+    await waitFor(() =>
+      expect(
+        mockApi.state.candidates.find((c) => c.fullName === 'Diya Patel')
+          .phoneEnquiry
+      ).toBe('not reached')
+    );
+    expect(mockApi.state.requests).toContainEqual({
+      route: 'POST /api/update-candidate',
+      body: { id: 2, field: 'phoneEnquiry', value: 'not reached' },
+    });
+    await waitFor(() =>
+      expect(within(cell).getByRole('combobox')).not.toBeDisabled()
+    );
+    expect(within(cell).getByRole('combobox')).toHaveValue('not reached');
+  });
+
+  it('leaves statuses the role cannot edit alone', async () => {
+    await renderDashboard('viewer');
+    act(() => getCell('Diya Patel', 'Phone status').focus());
+    pressKey(' ');
+
+    expect(
+      mockApi.state.requests.filter(
+        (request) => request.route === 'POST /api/update-candidate'
+      )
+    ).toHaveLength(0);
+  });
+
+  it('switches batches with [ and ]', async () => {
+    await renderDashboard();
+    pressKey(']', document.body);
+    expect(
+      screen.getByText(new RegExp(`${BATCH_14} Candidates\\s*\\(8\\)`))
+    ).toBeInTheDocument();
+    expect(screen.getByRole('button', { current: true })).toHaveTextContent(
+      BATCH_14
+    );
+
+    pressKey('[', document.body);
+    expect(screen.getByText(/All Candidates\s*\(16\)/)).toBeInTheDocument();
+  });
+
+  it('ignores shortcuts while typing in the search box', async () => {
+    await renderDashboard();
+    pressKey('/', document.body);
+    const search = screen.getByLabelText('Search candidates');
+    expect(search).toHaveFocus();
+
+    pressKey(']', search);
+    expect(screen.getByText(/All Candidates\s*\(16\)/)).toBeInTheDocument();
+  });
+
+  it('moves focus into the candidate drawer and back to the cell', async () => {
+    await renderDashboard();
+    const cell = screen.getByText('Diya Patel').closest('td');
+    act(() => cell.focus());
+    pressKey('Enter');
+
+    const drawer = screen.getByRole('dialog', { name: 'Diya Patel details' });
+    expect(drawer).toHaveAttribute('aria-modal', 'true');
+    expect(within(drawer).getByLabelText('Close details')).toHaveFocus();
+    expect(await within(drawer).findByText(/No activity/)).toBeInTheDocument();
+
+    // Page shortcuts stay off while the drawer is open
+    pressKey(']');
+    expect(screen.getByText(/All Candidates\s*\(16\)/)).toBeInTheDocument();
+
+    pressKey('Escape');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(cell).toHaveFocus();
+  });
+
+  it('keeps focus in the drawer and closes one dialog per Escape', async () => {
+    await renderDashboard();
+    const cell = screen.getByText('Diya Patel').closest('td');
+    act(() => cell.focus());
+    pressKey('Enter');
+    const drawer = screen.getByRole('dialog', { name: 'Diya Patel details' });
+    await within(drawer).findByText(/No activity/);
+
+    // Shift+Tab from the first control wraps round inside the drawer
+    const whatsApp = within(drawer).getByLabelText('WhatsApp Diya Patel');
+    act(() => whatsApp.focus());
+    fireEvent.keyDown(whatsApp, { key: 'Tab', shiftKey: true });
+    expect(whatsApp).not.toHaveFocus();
+    expect(drawer).toContainElement(document.activeElement);
+
+    act(() => whatsApp.focus());
+    fireEvent.click(whatsApp);
+    const dialog = screen.getByRole('dialog', { name: 'WhatsApp Diya Patel' });
+    expect(within(dialog).getByLabelText('Close')).toHaveFocus();
+
+    pressKey('Escape');
+    expect(dialog).not.toBeInTheDocument();
+    expect(drawer).toBeInTheDocument();
+    expect(whatsApp).toHaveFocus();
+
+    pressKey('Escape');
+    expect(drawer).not.toBeInTheDocument();
+    expect(cell).toHaveFocus();
+  });
+
+  it('lists the shortcuts on ?', async () => {
+    await renderDashboard();
+    pressKey('?', document.body);
+    const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+    expect(within(dialog).getByText('Previous / next batch')).toBeVisible();
+
+    pressKey('Escape');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+});
+
+describe('accessibility', () => {
+  it('has no axe violations on the sign-in screen', async () => {
+    const { container } = render(<App />);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no axe violations on the candidate table', async () => {
+    const { container } = await renderDashboard();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no axe violations on the other views', async () => {
+    mockApi = startMockApi({
+      reminders: [
+        {
+          id: 1,
+          days: 7,
+          batch: BATCH_14,
+          status: 'sent',
+          sentAt: '2025-04-28T09:00:00.000Z',
+          count: 8,
+          author: 'Asha Admin',
+        },
+      ],
+    });
+    const { container } = await renderDashboard();
+    selectBatch(BATCH_14);
+    fireEvent.click(screen.getByRole('tab', { name: /Analytics/ }));
+    expect(await axe(container)).toHaveNoViolations();
+
+    fireEvent.click(screen.getByRole('tab', { name: /Reminders/ }));
+    expect(await screen.findByText('sent')).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('switches to the high-contrast theme and remembers it', async () => {
+    const { container } = await renderDashboard();
+    const toggle = screen.getByRole('button', { name: 'High contrast' });
+    fireEvent.click(toggle);
+
+    expect(toggle).toHaveAttribute('aria-pressed', 'true');
+    expect(document.documentElement).toHaveClass('high-contrast');
+    expect(
+      window.localStorage.getItem('candidate-dashboard:high-contrast')
+    ).toBe('true');
+    expect(await axe(container)).toHaveNoViolations();
+
+    fireEvent.click(toggle);
+    expect(document.documentElement).not.toHaveClass('high-contrast');
+  });
+});
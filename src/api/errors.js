@@ -0,0 +1,8 @@
+// Error thrown by every data source so callers can check the status code
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
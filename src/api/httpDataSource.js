@@ -0,0 +1,67 @@
+import { ApiError } from './errors';
+
+// Talks to the Express proxy in front of the Google Sheet. With `events`
+// set, subscribe() listens to the proxy's server-sent change events.
+// Requests give up after `timeout` ms so a dead connection fails instead
+// of hanging.
+export function createHttpDataSource(
+  baseUrl,
+  { events = false, timeout = 15000 } = {}
+) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  // The signed-in user goes out with every request for the audit trail
+  const request = async (method, path, body, session) => {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (session) {
+      headers.Authorization = `Bearer ${session.token}`;
+      headers['X-User-Email'] = session.user.email;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+      response = await fetch(`${root}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      // No status: treated as a network failure and retried or queued
+      throw new ApiError(
+        err.name === 'AbortError'
+          ? `Request to ${path} timed out`
+          : `Request to ${path} failed: ${err.message}`
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new ApiError(
+        `Request to ${path} failed with status ${response.status}`,
+        response.status
+      );
+    }
+
+    // Some endpoints reply with an empty body
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  // Calls onChange whenever the sheet changes; returns an unsubscribe function
+  const subscribe = (onChange) => {
+    const source = new EventSource(`${root}/api/candidate-events`);
+    source.onmessage = () => onChange();
+    return () => source.close();
+  };
+
+  return {
+    name: 'http',
+    baseUrl: root,
+    request,
+    subscribe: events && typeof EventSource !== 'undefined' ? subscribe : null,
+  };
+}
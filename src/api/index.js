@@ -0,0 +1,139 @@
+import { createHttpDataSource } from './httpDataSource';
+import { createLocalDataSource } from './localDataSource';
+
+export { ApiError } from './errors';
+export { createHttpDataSource, createLocalDataSource };
+
+export const DEFAULT_API_BASE_URL = 'https://api-for-gsheet.onrender.com';
+
+// REACT_APP_DATA_SOURCE=local runs against the bundled fixtures;
+// otherwise requests go to REACT_APP_API_BASE_URL
+const createDefaultDataSource = () =>
+  process.env.REACT_APP_DATA_SOURCE === 'local'
+    ? createLocalDataSource({
+        delay: Number(process.env.REACT_APP_LOCAL_DELAY) || 0,
+      })
+    : createHttpDataSource(
+        process.env.REACT_APP_API_BASE_URL || DEFAULT_API_BASE_URL,
+        { events: process.env.REACT_APP_LIVE_EVENTS === 'true' }
+      );
+
+let dataSource = createDefaultDataSource();
+
+export const getDataSource = () => dataSource;
+
+// Swap the active data source, e.g. for tests or offline fixtures
+export const setDataSource = (source) => {
+  dataSource = source;
+};
+
+// { user, token } of the signed-in user, sent with every request
+let session = null;
+
+export const setSession = (next) => {
+  session = next;
+};
+
+const request = (method, path, body) =>
+  dataSource.request(method, path, body, session);
+
+// Resolves to { user: { id, name, email, role }, token }
+export const login = ({ email, password }) =>
+  request('POST', '/api/login', { email, password });
+
+export const fetchCandidates = () => request('GET', '/api/candidates');
+
+// Pushes a notification on every sheet change if the data source supports
+// it. Returns an unsubscribe function, or null when the caller should poll.
+export const subscribeToCandidates = (onChange) =>
+  dataSource.subscribe ? dataSource.subscribe(onChange) : null;
+
+export const updateCandidate = ({ id, field, value }) =>
+  request('POST', '/api/update-candidate', { id, field, value });
+
+// Creates a candidate; the backend assigns id and dateOfApplication
+export const addCandidate = (candidate) =>
+  request('POST', '/api/add-candidate', { candidate });
+
+// Creates many candidates at once, e.g. from a spreadsheet. Resolves to
+// { added: [candidate], failed: [{ index, error }] } where `index` points
+// into `candidates`.
+export const importCandidates = (candidates) =>
+  request('POST', '/api/import-candidates', { candidates });
+
+// Saves changed detail fields ({ field: value }) for one candidate
+export const editCandidate = ({ id, changes }) =>
+  request('POST', '/api/edit-candidate', { id, changes });
+
+// Sets one field to the same value on many candidates in a single request.
+// Resolves to { updated: [id], failed: [{ id, error }] }.
+export const bulkUpdateCandidates = ({ ids, field, value }) =>
+  request('POST', '/api/bulk-update-candidates', {
+    ids,
+    field,
+    value,
+  });
+
+// Folds duplicate records into one: writes `values` onto the primary and
+// deletes the rest. Resolves to { candidate } with `mergedFrom` ids set.
+export const mergeCandidates = ({ primaryId, mergedIds, values }) =>
+  request('POST', '/api/merge-candidates', {
+    primaryId,
+    mergedIds,
+    values,
+  });
+
+// Batch records: { name, startDate, openDate, capacity, location, mode,
+// status }.
+// `name` matches the `batch` column on candidates.
+export const fetchBatches = () => request('GET', '/api/batches');
+
+// Creates the batch if no batch with that name exists yet
+export const saveBatch = (batch) =>
+  request('POST', '/api/save-batch', { batch });
+
+// Notes and status changes for one candidate, oldest first
+export const fetchActivity = (candidateId) =>
+  request(
+    'GET',
+    `/api/candidate-activity?id=${encodeURIComponent(candidateId)}`
+  );
+
+// entries: [{ candidateId, type: 'note' | 'status', author, ... }]
+export const addActivity = (entries) =>
+  request('POST', '/api/add-activity', { entries });
+
+// Sends the reminder email for `days` before the program to a whole batch.
+// subject/body are templates with {placeholders} filled in per candidate.
+export const sendReminders = ({ days, batch, subject, body, author }) =>
+  request('POST', '/api/send-reminders', {
+    days,
+    batch,
+    subject,
+    body,
+    author,
+  });
+
+export const scheduleReminder = ({
+  days,
+  batch,
+  subject,
+  body,
+  author,
+  sendAt,
+}) =>
+  request('POST', '/api/schedule-reminder', {
+    days,
+    batch,
+    subject,
+    body,
+    author,
+    sendAt,
+  });
+
+export const cancelReminder = (id) =>
+  request('POST', '/api/cancel-reminder', { id });
+
+// Sent, scheduled and cancelled reminders for a batch
+export const fetchReminderLog = (batch) =>
+  request('GET', `/api/reminder-log?batch=${encodeURIComponent(batch)}`);
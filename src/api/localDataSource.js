@@ -0,0 +1,283 @@
+import { ApiError } from './errors';
+import fixtureBatches from './fixtures/batches.json';
+import fixtureCandidates from './fixtures/candidates.json';
+import fixtureUsers from './fixtures/users.json';
+import { canEditStatus, hasPermission } from '../config/roles';
+import { validateCandidate } from '../utils/validation';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const ACTIVITY_CHECKS = {
+  note: (user) => hasPermission(user, 'addNotes'),
+  status: (user, entry) => canEditStatus(user, entry.field),
+  edit: (user) => hasPermission(user, 'editCandidates'),
+  merge: (user) => hasPermission(user, 'editCandidates'),
+};
+
+// Who may call each write route; GET routes are open to any caller
+const WRITE_CHECKS = {
+  'POST /api/update-candidate': (user, { field }) => canEditStatus(user, field),
+  'POST /api/bulk-update-candidates': (user, { field }) =>
+    canEditStatus(user, field),
+  'POST /api/add-candidate': (user) => hasPermission(user, 'editCandidates'),
+  'POST /api/import-candidates': (user) =>
+    hasPermission(user, 'editCandidates'),
+  'POST /api/edit-candidate': (user) => hasPermission(user, 'editCandidates'),
+  'POST /api/merge-candidates': (user) => hasPermission(user, 'editCandidates'),
+  'POST /api/save-batch': (user) => hasPermission(user, 'editBatches'),
+  'POST /api/add-activity': (user, { entries = [] }) =>
+    entries.every((entry) =>
+      ACTIVITY_CHECKS[entry.type]
+        ? ACTIVITY_CHECKS[entry.type](user, entry)
+        : false
+    ),
+  'POST /api/send-reminders': (user) => hasPermission(user, 'sendReminders'),
+  'POST /api/schedule-reminder': (user) => hasPermission(user, 'sendReminders'),
+  'POST /api/cancel-reminder': (user) => hasPermission(user, 'sendReminders'),
+};
+
+// In-memory stand-in for the Express proxy. It answers the same paths with
+// the same payloads, so the dashboard and tests can run without the sheet.
+// It doubles as the mock auth provider: `users` can sign in with their
+// fixture password, and every write is checked against their role and
+// recorded in `state.audit`.
+export function createLocalDataSource({
+  candidates = fixtureCandidates,
+  batches = fixtureBatches,
+  users = fixtureUsers,
+  delay = 0,
+} = {}) {
+  const state = {
+    candidates: clone(candidates),
+    batches: clone(batches),
+    reminders: [],
+    activity: [],
+    audit: [],
+  };
+  let nextActivityId = 1;
+  let nextReminderId = 1;
+
+  const findCandidate = (id) => {
+    const candidate = state.candidates.find((c) => String(c.id) === String(id));
+    if (!candidate) {
+      throw new ApiError(`Candidate ${id} not found`, 404);
+    }
+    return candidate;
+  };
+
+  const createCandidate = (candidate) => {
+    const nextId =
+      Math.max(0, ...state.candidates.map((c) => Number(c.id) || 0)) + 1;
+    const created = {
+      dateOfApplication: new Date().toISOString(),
+      whatsappMsg: 'pending',
+      phoneEnquiry: 'not done',
+      online: '',
+      program: '',
+      ...candidate,
+      id: nextId,
+    };
+    state.candidates.push(created);
+    return created;
+  };
+
+  const findUserByToken = (token) =>
+    users.find((user) => token && token === `local-token-${user.id}`) || null;
+
+  const routes = {
+    'POST /api/login': ({ email, password }) => {
+      const user = users.find(
+        (u) =>
+          u.email.toLowerCase() ===
+          String(email || '')
+            .trim()
+            .toLowerCase()
+      );
+      if (!user || user.password !== password) {
+        throw new ApiError('Incorrect email or password', 401);
+      }
+      const { password: _, ...profile } = user;
+      return { user: profile, token: `local-token-${user.id}` };
+    },
+
+    'GET /api/candidates': () => state.candidates,
+
+    'POST /api/update-candidate': ({ id, field, value }) => {
+      const candidate = findCandidate(id);
+      candidate[field] = value;
+      return { success: true, candidate };
+    },
+
+    'POST /api/add-candidate': ({ candidate }) => ({
+      candidate: createCandidate(candidate),
+    }),
+
+    // Rows are checked one by one so a bad row doesn't block the rest
+    'POST /api/import-candidates': ({ candidates: rows = [] }) => {
+      const added = [];
+      const failed = [];
+      rows.forEach((row, index) => {
+        const errors = Object.values(validateCandidate(row));
+        if (errors.length > 0) failed.push({ index, error: errors.join('; ') });
+        else added.push(createCandidate(row));
+      });
+      return { added, failed };
+    },
+
+    'POST /api/edit-candidate': ({ id, changes }) => {
+      const candidate = findCandidate(id);
+      Object.assign(candidate, changes, { id: candidate.id });
+      return { candidate };
+    },
+
+    'POST /api/bulk-update-candidates': ({ ids = [], field, value }) => {
+      const updated = [];
+      const failed = [];
+      ids.forEach((id) => {
+        try {
+          findCandidate(id)[field] = value;
+          updated.push(id);
+        } catch (err) {
+          failed.push({ id, error: err.message });
+        }
+      });
+      return { updated, failed };
+    },
+
+    'POST /api/merge-candidates': ({ primaryId, mergedIds = [], values }) => {
+      const primary = findCandidate(primaryId);
+      const merged = mergedIds.map(findCandidate);
+      if (merged.includes(primary)) {
+        throw new ApiError('Cannot merge a candidate into itself', 400);
+      }
+      Object.assign(primary, values, {
+        id: primary.id,
+        mergedFrom: [...(primary.mergedFrom || []), ...merged.map((c) => c.id)],
+      });
+      state.candidates = state.candidates.filter((c) => !merged.includes(c));
+      return { candidate: primary };
+    },
+
+    'GET /api/batches': () => state.batches,
+
+    'POST /api/save-batch': ({ batch }) => {
+      if (!batch || !batch.name) {
+        throw new ApiError('Batch name is required', 400);
+      }
+      const index = state.batches.findIndex((b) => b.name === batch.name);
+      if (index === -1) state.batches.push(batch);
+      else state.batches[index] = { ...state.batches[index], ...batch };
+      return { batch: state.batches.find((b) => b.name === batch.name) };
+    },
+
+    'GET /api/candidate-activity': ({ id }) =>
+      state.activity.filter(
+        (entry) => String(entry.candidateId) === String(id)
+      ),
+
+    'POST /api/add-activity': ({ entries = [] }) => {
+      const saved = entries.map((entry) => ({
+        ...entry,
+        id: nextActivityId++,
+        createdAt: entry.createdAt || new Date().toISOString(),
+      }));
+      state.activity.push(...saved);
+      return { entries: saved };
+    },
+
+    'POST /api/send-reminders': ({ days, batch, subject, body, author }) => {
+      const recipients = state.candidates.filter((c) => c.batch === batch);
+      state.reminders.push({
+        id: nextReminderId++,
+        days,
+        batch,
+        subject,
+        body,
+        author,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        count: recipients.length,
+      });
+      return { success: true, count: recipients.length };
+    },
+
+    'POST /api/schedule-reminder': ({ sendAt, ...reminder }) => {
+      if (!sendAt || Number.isNaN(new Date(sendAt).getTime())) {
+        throw new ApiError('sendAt must be a valid date', 400);
+      }
+      const scheduled = {
+        ...reminder,
+        id: nextReminderId++,
+        status: 'scheduled',
+        sendAt,
+      };
+      state.reminders.push(scheduled);
+      return { reminder: scheduled };
+    },
+
+    'POST /api/cancel-reminder': ({ id }) => {
+      const reminder = state.reminders.find((r) => r.id === id);
+      if (!reminder || reminder.status !== 'scheduled') {
+        throw new ApiError(`No scheduled reminder ${id}`, 404);
+      }
+      reminder.status = 'cancelled';
+      return { reminder };
+    },
+
+    'GET /api/reminder-log': ({ batch }) => {
+      // Stand-in for the backend job that sends scheduled reminders
+      const now = Date.now();
+      state.reminders.forEach((reminder) => {
+        if (
+          reminder.status === 'scheduled' &&
+          new Date(reminder.sendAt).getTime() <= now
+        ) {
+          reminder.status = 'sent';
+          reminder.sentAt = reminder.sendAt;
+          reminder.count = state.candidates.filter(
+            (c) => c.batch === reminder.batch
+          ).length;
+        }
+      });
+      return state.reminders.filter((r) => !batch || r.batch === batch);
+    },
+  };
+
+  const request = async (method, path, body, session) => {
+    if (delay) await wait(delay);
+    // GET handlers receive the query string parameters instead of a body
+    const [pathname, query = ''] = path.split('?');
+    const routeKey = `${method} ${pathname}`;
+    const handler = routes[routeKey];
+    if (!handler) {
+      throw new ApiError(`No local route for ${method} ${pathname}`, 404);
+    }
+    const params =
+      method === 'GET'
+        ? Object.fromEntries(new URLSearchParams(query))
+        : clone(body || {});
+
+    const check = WRITE_CHECKS[routeKey];
+    if (check) {
+      const user = findUserByToken(session && session.token);
+      if (!user) throw new ApiError('Sign in to make changes', 401);
+      if (!check(user, params)) {
+        throw new ApiError(`${user.role} cannot call ${pathname}`, 403);
+      }
+      state.audit.push({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        method,
+        path: pathname,
+        body: params,
+        at: new Date().toISOString(),
+      });
+    }
+    return clone(handler(params));
+  };
+
+  return { name: 'local', state, request };
+}
@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import {
+  Filter,
+  TrendingUp,
+  Calendar,
+  Columns,
+  School,
+  BookOpen,
+  Ghost,
+  CalendarDays,
+} from 'lucide-react';
+
+import BarList from './BarList';
+import ColumnChart from './ColumnChart';
+import {
+  FUNNEL_STAGES,
+  getApplicationsOverTime,
+  getBatchFunnels,
+  getFunnel,
+  getGroupBreakdown,
+  getHighestGhosting,
+  getWeekOverWeek,
+  getYearDistribution,
+} from '../utils/analytics';
+import { addDays } from '../utils/dateRange';
+import { formatDate } from '../utils/format';
+
+const BREAKDOWN_SORTS = {
+  applicants: (a, b) => b.applicants - a.applicants,
+  attendanceRate: (a, b) => (b.attendanceRate ?? -1) - (a.attendanceRate ?? -1),
+  ghostingRate: (a, b) => (b.ghostingRate ?? -1) - (a.ghostingRate ?? -1),
+};
+
+const formatRate = (rate) => (rate === null ? '—' : `${rate.toFixed(0)}%`);
+
+const WEEK_METRICS = [
+  { key: 'applications', label: 'New applications', unit: '' },
+  { key: 'whatsappRate', label: 'WhatsApp sent', unit: '%' },
+  { key: 'phoneRate', label: 'Phone enquiry done', unit: '%' },
+];
+
+const formatWeek = ({ from, to }) =>
+  `${formatDate(from)} – ${formatDate(addDays(to, -1))}`;
+
+// This week against last week, with the change in counts or points
+function WeekOverWeek({ candidates }) {
+  const { current, previous } = getWeekOverWeek(candidates);
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500 uppercase">
+          <th className="py-2 pr-4">
+            <span className="sr-only">Metric</span>
+          </th>
+          <th className="py-2 pr-4 text-right" title={formatWeek(current)}>
+            Last 7 days
+          </th>
+          <th className="py-2 pr-4 text-right" title={formatWeek(previous)}>
+            7 days before
+          </th>
+          <th className="py-2 text-right">Change</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {WEEK_METRICS.map(({ key, label, unit }) => {
+          const change = current[key] - previous[key];
+          return (
+            <tr key={key}>
+              <td className="py-2 pr-4 text-gray-600">{label}</td>
+              <td className="py-2 pr-4 text-right font-semibold">
+                {current[key].toFixed(0)}
+                {unit}
+              </td>
+              <td className="py-2 pr-4 text-right">
+                {previous[key].toFixed(0)}
+                {unit}
+              </td>
+              <td
+                className={`py-2 text-right ${
+                  change > 0
+                    ? 'text-green-700'
+                    : change < 0
+                    ? 'text-red-700'
+                    : 'text-gray-500'
+                }`}
+              >
+                {change > 0 ? '+' : ''}
+                {change.toFixed(0)}
+                {unit && ' pts'}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+function Card({ icon: Icon, title, action, children, className = '' }) {
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <Icon className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-medium">{title}</h2>
+        </div>
+        {action}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Applicants, attendance and ghosting per college or stream. Clicking a
+// college or stream shows those candidates in the table.
+function BreakdownTable({ rows, label, activeValue, onSelect }) {
+  const [sortBy, setSortBy] = useState('applicants');
+  const sorted = [...rows].sort(BREAKDOWN_SORTS[sortBy]);
+
+  return (
+    <>
+      <select
+        value={sortBy}
+        onChange={(e) => setSortBy(e.target.value)}
+        aria-label={`Sort ${label.toLowerCase()} by`}
+        className="mb-3 py-1 px-2 border rounded text-sm"
+      >
+        <option value="applicants">Most applicants</option>
+        <option value="attendanceRate">Highest attendance</option>
+        <option value="ghostingRate">Highest ghosting</option>
+      </select>
+      <div className="max-h-80 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2 pr-4">{label}</th>
+              <th className="py-2 pr-4 text-right">Applicants</th>
+              <th className="py-2 pr-4 text-right">Attended</th>
+              <th className="py-2 text-right">Ghosted</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {sorted.map((row) => (
+              <tr
+                key={row.value}
+                className={row.value === activeValue ? 'bg-blue-50' : ''}
+              >
+                <td className="py-2 pr-4">
+                  <button
+                    onClick={() => onSelect(row.value)}
+                    aria-pressed={row.value === activeValue}
+                    title={`Show ${row.value} candidates`}
+                    className="text-left text-blue-700 hover:underline"
+                  >
+                    {row.value}
+                  </button>
+                </td>
+                <td className="py-2 pr-4 text-right">{row.applicants}</td>
+                <td className="py-2 pr-4 text-right">
+                  {formatRate(row.attendanceRate)}
+                </td>
+                <td className="py-2 text-right">
+                  {formatRate(row.ghostingRate)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Rates are shares of candidates with a program outcome.
+      </p>
+    </>
+  );
+}
+
+// Funnel, intake trend, graduation years, college and stream insights and a
+// batch-by-batch comparison. `candidates` is the current view;
+// `allBatchCandidates` ignores the batch and `undatedCandidates` the date
+// range. onDrill(field, value) narrows the candidate table to one college
+// or stream.
+function AnalyticsPanel({
+  candidates,
+  allBatchCandidates,
+  undatedCandidates,
+  selectedBatch,
+  filters,
+  onDrill,
+}) {
+  const [granularity, setGranularity] = useState('week');
+  const funnel = getFunnel(candidates);
+  const batchFunnels = getBatchFunnels(allBatchCandidates);
+  const colleges = getGroupBreakdown(candidates, 'nameOfCollege');
+  const streams = getGroupBreakdown(candidates, 'stream');
+  const ghosting = getHighestGhosting(colleges);
+
+  return (
+    <div className="px-6 pb-6 grid grid-cols-2 gap-6">
+      <Card
+        icon={Filter}
+        title={`Conversion Funnel – ${
+          selectedBatch === 'All batches' ? 'All batches' : selectedBatch
+        }`}
+      >
+        <BarList
+          items={funnel.map((stage) => ({
+            label: stage.label,
+            value: stage.count,
+            detail: `(${stage.fromStart.toFixed(
+              0
+            )}% of applied, ${stage.fromPrevious.toFixed(0)}% of previous)`,
+          }))}
+        />
+      </Card>
+
+      <Card
+        icon={TrendingUp}
+        title="Applications Over Time"
+        action={
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            aria-label="Group applications by"
+            className="py-1 px-2 border rounded text-sm"
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        }
+      >
+        <ColumnChart
+          items={getApplicationsOverTime(candidates, granularity).map(
+            (period) => ({ label: period.label, value: period.count })
+          )}
+        />
+      </Card>
+
+      <Card icon={CalendarDays} title="Week over Week">
+        <WeekOverWeek candidates={undatedCandidates} />
+        <p className="mt-2 text-xs text-gray-500">
+          Outreach rates are shares of each week's applicants.
+        </p>
+      </Card>
+
+      <Card icon={Calendar} title="Graduation Years">
+        <BarList
+          items={getYearDistribution(candidates).map((year) => ({
+            label: year.year,
+            value: year.count,
+          }))}
+          colorClass="bg-indigo-500"
+        />
+      </Card>
+
+      <Card icon={Ghost} title="Highest Ghosting by College">
+        {ghosting.length === 0 ? (
+          <p className="text-sm text-gray-500">No ghosted candidates</p>
+        ) : (
+          <ul className="space-y-2">
+            {ghosting.map((college) => (
+              <li key={college.value} className="text-sm">
+                <button
+                  onClick={() => onDrill('nameOfCollege', college.value)}
+                  className="w-full text-left"
+                >
+                  <div className="flex justify-between mb-1">
+                    <span className="text-blue-700">{college.value}</span>
+                    <span className="font-semibold">
+                      {formatRate(college.ghostingRate)}
+                      <span className="ml-1 font-normal text-gray-500">
+                        ({college.ghosted} of {college.outcomes} outcomes)
+                      </span>
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded">
+                    <div
+                      className="h-2 rounded bg-red-500"
+                      style={{ width: `${college.ghostingRate}%` }}
+                    />
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+
+      <Card icon={School} title="Colleges">
+        <BreakdownTable
+          rows={colleges}
+          label="College"
+          activeValue={filters.nameOfCollege}
+          onSelect={(value) => onDrill('nameOfCollege', value)}
+        />
+      </Card>
+
+      <Card icon={BookOpen} title="Streams">
+        <BreakdownTable
+          rows={streams}
+          label="Stream"
+          activeValue={filters.stream}
+          onSelect={(value) => onDrill('stream', value)}
+        />
+      </Card>
+
+      <Card icon={Columns} title="Batch Comparison" className="col-span-2">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4">Batch</th>
+                {FUNNEL_STAGES.map((stage) => (
+                  <th key={stage.key} className="py-2 pr-4">
+                    {stage.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {batchFunnels.map(({ batch, stages }) => (
+                <tr
+                  key={batch}
+                  className={batch === selectedBatch ? 'bg-blue-50' : ''}
+                >
+                  <td className="py-2 pr-4 text-gray-900">{batch}</td>
+                  {stages.map((stage) => (
+                    <td key={stage.key} className="py-2 pr-4 min-w-[110px]">
+                      <div className="flex justify-between">
+                        <span className="font-semibold">{stage.count}</span>
+                        <span className="text-gray-500">
+                          {stage.fromStart.toFixed(0)}%
+                        </span>
+                      </div>
+                      <div className="h-1.5 bg-gray-100 rounded mt-1">
+                        <div
+                          className="h-1.5 bg-blue-500 rounded"
+                          style={{ width: `${stage.fromStart}%` }}
+                        />
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+export default AnalyticsPanel;
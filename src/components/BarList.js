@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Horizontal bars: [{ label, value, detail? }]
+function BarList({ items, max, colorClass = 'bg-blue-500' }) {
+  const largest = max || Math.max(1, ...items.map((item) => item.value));
+
+  return (
+    <ul className="space-y-2">
+      {items.map((item) => (
+        <li key={item.label} className="text-sm">
+          <div className="flex justify-between mb-1">
+            <span className="text-gray-600">{item.label}</span>
+            <span className="font-semibold">
+              {item.value}
+              {item.detail && (
+                <span className="ml-1 font-normal text-gray-500">
+                  {item.detail}
+                </span>
+              )}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className={`h-2 rounded ${colorClass}`}
+              style={{ width: `${(item.value / largest) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default BarList;
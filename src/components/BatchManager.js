@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { X, Plus, Pencil } from 'lucide-react';
+
+import {
+  BATCH_MODES,
+  BATCH_STATUSES,
+  EMPTY_BATCH,
+  formatCountdown,
+  getDaysUntil,
+} from '../utils/batches';
+
+// Modal to create batches and edit their start date, capacity, etc.
+function BatchManager({ batches, onSave, onClose }) {
+  const [editing, setEditing] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const startEditing = (batch, creating = false) => {
+    setEditing({ ...EMPTY_BATCH, ...batch });
+    setIsNew(creating);
+    setFormError(null);
+  };
+
+  const updateField = (field, value) =>
+    setEditing((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = editing.name.trim();
+    if (!name) {
+      setFormError('Name is required');
+      return;
+    }
+    if (isNew && batches.some((batch) => batch.name === name)) {
+      setFormError('A batch with this name already exists');
+      return;
+    }
+    if (
+      editing.openDate &&
+      editing.startDate &&
+      editing.openDate > editing.startDate
+    ) {
+      setFormError("Applications can't open after the program starts");
+      return;
+    }
+    if (editing.capacity !== '' && !(Number(editing.capacity) > 0)) {
+      setFormError('Capacity must be a positive number');
+      return;
+    }
+
+    const { candidateCount, ...record } = editing;
+    setSaving(true);
+    try {
+      await onSave({
+        ...record,
+        name,
+        capacity: record.capacity === '' ? '' : Number(record.capacity),
+      });
+      setEditing(null);
+    } catch (err) {
+      setFormError('Failed to save batch. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Manage batches"
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-800">Manage Batches</h2>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} className="p-4 grid grid-cols-2 gap-4">
+            <label className="col-span-2 text-sm text-gray-600">
+              Name
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                disabled={!isNew}
+                className="mt-1 w-full p-2 border rounded text-sm disabled:bg-gray-50"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Program start date
+              <input
+                type="date"
+                value={editing.startDate}
+                onChange={(e) => updateField('startDate', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Applications open
+              <input
+                type="date"
+                value={editing.openDate}
+                onChange={(e) => updateField('openDate', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Capacity
+              <input
+                type="number"
+                min="1"
+                value={editing.capacity}
+                onChange={(e) => updateField('capacity', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Location
+              <input
+                type="text"
+                value={editing.location}
+                onChange={(e) => updateField('location', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Mode
+              <select
+                value={editing.mode}
+                onChange={(e) => updateField('mode', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              >
+                {BATCH_MODES.map((mode) => (
+                  <option key={mode} value={mode}>
+                    {mode}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-600">
+              Status
+              <select
+                value={editing.status}
+                onChange={(e) => updateField('status', e.target.value)}
+                className="mt-1 w-full p-2 border rounded text-sm"
+              >
+                {BATCH_STATUSES.map((status) => (
+                  <option key={status} value={status}>
+                    {status}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {formError && (
+              <p className="col-span-2 text-sm text-red-600">{formError}</p>
+            )}
+            <div className="col-span-2 flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+              >
+                {saving ? 'Saving…' : 'Save batch'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2 pr-4">Batch</th>
+                  <th className="py-2 pr-4">Start</th>
+                  <th className="py-2 pr-4">Filled</th>
+                  <th className="py-2 pr-4">Mode</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {batches.map((batch) => (
+                  <tr key={batch.name}>
+                    <td className="py-2 pr-4 text-gray-900">{batch.name}</td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {formatCountdown(getDaysUntil(batch.startDate))}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {batch.candidateCount}
+                      {batch.capacity ? ` / ${batch.capacity}` : ''}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {batch.mode}
+                      {batch.location ? `, ${batch.location}` : ''}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">{batch.status}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => startEditing(batch)}
+                        aria-label={`Edit ${batch.name}`}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => startEditing(EMPTY_BATCH, true)}
+              className="mt-4 inline-flex items-center px-3 py-1.5 border rounded text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <Plus className="h-4 w-4 mr-1" /> New batch
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BatchManager;
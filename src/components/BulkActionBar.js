@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+
+import { STATUS_SCHEMA } from '../config/statusSchema';
+
+// Shown above the table while rows are selected; `fields` are the status
+// columns the user may change
+function BulkActionBar({
+  fields,
+  selectedCount,
+  filteredCount,
+  allFilteredSelected,
+  onSelectAllFiltered,
+  onClearSelection,
+  onApply,
+  busy,
+}) {
+  const [field, setField] = useState(fields[0]);
+  const [value, setValue] = useState(
+    fields.length > 0 ? STATUS_SCHEMA[fields[0]].states[0].value : ''
+  );
+
+  if (selectedCount === 0 || fields.length === 0) return null;
+
+  const handleFieldChange = (nextField) => {
+    setField(nextField);
+    setValue(STATUS_SCHEMA[nextField].states[0].value);
+  };
+
+  return (
+    <div className="p-3 border-b bg-blue-50 flex flex-wrap items-center gap-3 text-sm">
+      <span className="font-medium text-blue-800">
+        {selectedCount} selected
+      </span>
+      {!allFilteredSelected && (
+        <button
+          onClick={onSelectAllFiltered}
+          className="text-blue-700 underline hover:text-blue-900"
+        >
+          Select all {filteredCount} in current filter
+        </button>
+      )}
+      <button
+        onClick={onClearSelection}
+        className="text-gray-600 hover:text-gray-900"
+      >
+        Clear selection
+      </button>
+      <div className="flex items-center gap-2 ml-auto">
+        <span className="text-gray-600">Set</span>
+        <select
+          value={field}
+          onChange={(e) => handleFieldChange(e.target.value)}
+          className="py-1 px-2 border rounded"
+        >
+          {fields.map((key) => (
+            <option key={key} value={key}>
+              {STATUS_SCHEMA[key].label}
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-600">to</span>
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="py-1 px-2 border rounded"
+        >
+          {STATUS_SCHEMA[field].states.map((state) => (
+            <option key={state.value} value={state.value}>
+              {state.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onApply(field, value)}
+          disabled={busy}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+        >
+          {busy ? 'Applying…' : `Apply to ${selectedCount}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+import { STATUS_SCHEMA, getStatusLabel } from '../config/statusSchema';
+
+// Rows a bulk action could not update, with the reason for each
+function BulkFailureReport({ report, onDismiss }) {
+  if (!report || report.failed.length === 0) return null;
+
+  return (
+    <div className="p-4 border-b bg-red-50 text-sm text-red-800">
+      <div className="flex items-start justify-between">
+        <p className="font-medium">
+          {STATUS_SCHEMA[report.field].label} →{' '}
+          {getStatusLabel(report.field, report.value)}: {report.updated}{' '}
+          updated, {report.failed.length} failed
+        </p>
+        <button
+          onClick={onDismiss}
+          aria-label="Dismiss failure report"
+          className="opacity-60 hover:opacity-100"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      <ul className="mt-2 space-y-1">
+        {report.failed.map((failure) => (
+          <li key={failure.id}>
+            {failure.fullName || `Candidate ${failure.id}`}: {failure.error}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default BulkFailureReport;
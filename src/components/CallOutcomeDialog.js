@@ -0,0 +1,114 @@
+import React, { useRef, useState } from 'react';
+import { Phone, X } from 'lucide-react';
+
+import { STATUS_SCHEMA, getStatusState } from '../config/statusSchema';
+import useModalDialog from '../hooks/useModalDialog';
+import { formatPhone, getTelLink } from '../utils/phone';
+
+// Quick form shown when a call is started: record how it went as the
+// phone enquiry status, with an optional note. Focus starts on Close and
+// goes back to where it was on close.
+function CallOutcomeDialog({ candidate, canAddNotes, onSave, onClose }) {
+  const closeRef = useRef(null);
+  const dialogProps = useModalDialog(closeRef, onClose);
+  const [outcome, setOutcome] = useState(
+    getStatusState('phoneEnquiry', candidate.phoneEnquiry).value
+  );
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(outcome, note.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <form
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Call outcome for ${candidate.fullName}`}
+        {...dialogProps}
+        className="bg-white rounded-lg shadow-xl w-full max-w-md"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-800">
+            Call {candidate.fullName}
+          </h2>
+          <button
+            ref={closeRef}
+            type="button"
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm">
+          <a
+            href={getTelLink(candidate.contactNumber)}
+            className="inline-flex items-center text-blue-600 hover:underline"
+          >
+            <Phone className="h-4 w-4 mr-2" />
+            {formatPhone(candidate.contactNumber)}
+          </a>
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-2">Outcome</legend>
+            <div className="grid grid-cols-2 gap-2">
+              {STATUS_SCHEMA.phoneEnquiry.states.map((state) => (
+                <label key={state.value} className="flex items-center">
+                  <input
+                    type="radio"
+                    name="call-outcome"
+                    value={state.value}
+                    checked={outcome === state.value}
+                    onChange={() => setOutcome(state.value)}
+                    className="mr-2"
+                  />
+                  {state.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          {canAddNotes && (
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+              placeholder="Anything to remember from the call (optional)"
+              aria-label="Call note"
+              className="w-full p-2 border rounded"
+            />
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Skip
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save outcome'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CallOutcomeDialog;
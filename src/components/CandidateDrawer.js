@@ -0,0 +1,270 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, MessageSquare, History, Pencil } from 'lucide-react';
+
+import * as api from '../api';
+import ContactActions from './ContactActions';
+import StatusPicker from './StatusPicker';
+import {
+  STATUS_FIELD_KEYS,
+  STATUS_SCHEMA,
+  getStatusLabel,
+  isStatusField,
+} from '../config/statusSchema';
+import useModalDialog from '../hooks/useModalDialog';
+import { getCellKey } from '../hooks/useStatusUpdates';
+import { CANDIDATE_FIELDS } from '../utils/candidates';
+import { formatDate, formatDateTime } from '../utils/format';
+import { formatPhone } from '../utils/phone';
+
+const DETAIL_FIELDS = CANDIDATE_FIELDS.filter(
+  (field) => !isStatusField(field.key)
+);
+
+const FIELD_LABELS = Object.fromEntries(
+  CANDIDATE_FIELDS.map((field) => [field.key, field.label])
+);
+
+const describeValue = (field, value) =>
+  isStatusField(field) ? getStatusLabel(field, value) : value || '—';
+
+// Side panel with the full record, status buttons, notes and a timeline.
+// Modal: focus moves into it on open, stays in it and goes back to where it
+// was on close.
+function CandidateDrawer({
+  candidate,
+  author,
+  activityVersion,
+  pendingCells,
+  editableFields,
+  canAddNotes,
+  onStatusChange,
+  onContact,
+  onEdit,
+  onClose,
+}) {
+  const [activity, setActivity] = useState([]);
+  const [loadingActivity, setLoadingActivity] = useState(true);
+  const [activityError, setActivityError] = useState(null);
+  const [note, setNote] = useState('');
+  const closeRef = useRef(null);
+  const [savingNote, setSavingNote] = useState(false);
+  const candidateId = candidate.id;
+
+  // Reload the timeline when another candidate is opened or a change is logged
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingActivity(true);
+    api
+      .fetchActivity(candidateId)
+      .then((entries) => {
+        if (cancelled) return;
+        setActivity(entries || []);
+        setActivityError(null);
+      })
+      .catch(() => {
+        if (!cancelled) setActivityError('Failed to load activity');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingActivity(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [candidateId, activityVersion]);
+
+  const dialogProps = useModalDialog(closeRef, onClose);
+
+  const addNote = async () => {
+    const text = note.trim();
+    if (!text) return;
+    setSavingNote(true);
+    try {
+      const { entries } = await api.addActivity([
+        { candidateId, type: 'note', author, text },
+      ]);
+      setActivity((current) => [...current, ...entries]);
+      setNote('');
+      setActivityError(null);
+    } catch (err) {
+      setActivityError('Failed to save note. Please try again.');
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  const timeline = [...activity].sort(
+    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-label={`${candidate.fullName} details`}
+        {...dialogProps}
+        className="relative w-full max-w-md h-full bg-white shadow-xl overflow-y-auto"
+      >
+        <div className="p-4 border-b flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">
+              {candidate.fullName}
+            </h2>
+            <p className="text-sm text-gray-500">{candidate.batch}</p>
+            <div className="mt-1">
+              <ContactActions
+                candidate={candidate}
+                canWhatsApp={editableFields.includes('whatsappMsg')}
+                canCall={editableFields.includes('phoneEnquiry')}
+                onContact={onContact}
+              />
+            </div>
+          </div>
+          <div className="flex items-center space-x-3">
+            {onEdit && (
+              <button
+                onClick={onEdit}
+                aria-label="Edit candidate"
+                className="text-gray-500 hover:text-gray-800"
+              >
+                <Pencil className="h-4 w-4" />
+              </button>
+            )}
+            <button
+              ref={closeRef}
+              onClick={onClose}
+              aria-label="Close details"
+              className="text-gray-500 hover:text-gray-800"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        <dl className="p-4 border-b grid grid-cols-3 gap-y-2 text-sm">
+          {DETAIL_FIELDS.map((field) => (
+            <React.Fragment key={field.key}>
+              <dt className="text-gray-500">{field.label}</dt>
+              <dd className="col-span-2 text-gray-900 break-words">
+                {field.key === 'dateOfApplication' && candidate[field.key]
+                  ? formatDate(candidate[field.key])
+                  : field.key === 'contactNumber'
+                  ? formatPhone(candidate[field.key]) || '—'
+                  : candidate[field.key] || '—'}
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        <div className="p-4 border-b grid grid-cols-2 gap-3">
+          {STATUS_FIELD_KEYS.map((field) => (
+            <div key={field}>
+              <p className="text-xs text-gray-500 mb-1">
+                {STATUS_SCHEMA[field].label}
+              </p>
+              <StatusPicker
+                field={field}
+                value={candidate[field]}
+                pending={pendingCells.has(getCellKey(candidateId, field))}
+                disabled={!editableFields.includes(field)}
+                onChange={(value) => onStatusChange(candidate, field, value)}
+              />
+            </div>
+          ))}
+        </div>
+
+        {canAddNotes && (
+          <div className="p-4 border-b">
+            <h3 className="flex items-center text-md font-medium text-gray-700 mb-2">
+              <MessageSquare className="h-4 w-4 mr-2" /> Notes
+            </h3>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+              placeholder="Call outcome, follow-up, reason for status…"
+              className="w-full p-2 border rounded text-sm"
+            />
+            <div className="mt-2 flex items-center justify-between">
+              <span className="text-xs text-gray-500">Saved as {author}</span>
+              <button
+                onClick={addNote}
+                disabled={savingNote || !note.trim()}
+                className="px-3 py-1.5 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+              >
+                {savingNote ? 'Saving…' : 'Add note'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="p-4">
+          <h3 className="flex items-center text-md font-medium text-gray-700 mb-2">
+            <History className="h-4 w-4 mr-2" /> Activity
+          </h3>
+          {activityError && (
+            <p className="text-sm text-red-600 mb-2">{activityError}</p>
+          )}
+          {loadingActivity && activity.length === 0 ? (
+            <p className="text-sm text-gray-500">Loading…</p>
+          ) : timeline.length === 0 ? (
+            <p className="text-sm text-gray-500">No activity yet</p>
+          ) : (
+            <ol className="space-y-3">
+              {timeline.map((entry) => (
+                <li key={entry.id} className="text-sm border-l-2 pl-3">
+                  {entry.type === 'note' ? (
+                    <p className="text-gray-900 whitespace-pre-wrap">
+                      {entry.text}
+                    </p>
+                  ) : entry.type === 'merge' ? (
+                    <>
+                      <p className="text-gray-900">
+                        Merged duplicate records{' '}
+                        {(entry.mergedIds || [])
+                          .map((id) => `#${id}`)
+                          .join(', ')}
+                      </p>
+                      {(entry.changes || []).map((change) => (
+                        <p key={change.field} className="text-gray-600">
+                          {FIELD_LABELS[change.field] || change.field}:{' '}
+                          {describeValue(change.field, change.oldValue)} →{' '}
+                          {describeValue(change.field, change.newValue)}
+                        </p>
+                      ))}
+                    </>
+                  ) : entry.type === 'edit' ? (
+                    (entry.changes || []).map((change) => (
+                      <p key={change.field} className="text-gray-900">
+                        {FIELD_LABELS[change.field] || change.field}:{' '}
+                        {change.oldValue || '—'} → {change.newValue || '—'}
+                      </p>
+                    ))
+                  ) : (
+                    <p className="text-gray-900">
+                      {isStatusField(entry.field)
+                        ? `${
+                            STATUS_SCHEMA[entry.field].label
+                          }: ${getStatusLabel(
+                            entry.field,
+                            entry.oldValue
+                          )} → ${getStatusLabel(entry.field, entry.newValue)}`
+                        : `${entry.field}: ${entry.oldValue} → ${entry.newValue}`}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {entry.author || 'Anonymous'} ·{' '}
+                    {formatDateTime(entry.createdAt)}
+                  </p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default CandidateDrawer;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+
+import { STATUS_SCHEMA } from '../config/statusSchema';
+import {
+  FILTER_FIELDS,
+  EMPTY_FILTERS,
+  getFilterOptions,
+} from '../utils/candidates';
+
+const FILTER_LABELS = {
+  ...Object.fromEntries(
+    Object.entries(STATUS_SCHEMA).map(([field, config]) => [
+      field,
+      config.label,
+    ])
+  ),
+  nameOfCollege: 'College',
+  stream: 'Stream',
+  yearOfCompletion: 'Year',
+};
+
+// Search box and combinable filters shown above the candidate table
+function CandidateFilters({
+  candidates,
+  searchRef,
+  search,
+  onSearchChange,
+  filters,
+  onFiltersChange,
+}) {
+  const hasActiveFilters =
+    search.trim() !== '' || Object.values(filters).some(Boolean);
+
+  return (
+    <div className="p-4 border-b flex flex-wrap items-center gap-3">
+      <div className="relative flex-1 min-w-[200px]">
+        <Search className="h-4 w-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+        <input
+          ref={searchRef}
+          type="text"
+          value={search}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder="Search name, email, phone or college"
+          aria-label="Search candidates"
+          className="w-full pl-8 pr-2 py-1.5 border rounded text-sm"
+        />
+      </div>
+      {FILTER_FIELDS.map((field) => (
+        <select
+          key={field}
+          value={filters[field]}
+          onChange={(e) =>
+            onFiltersChange({ ...filters, [field]: e.target.value })
+          }
+          aria-label={`${FILTER_LABELS[field]} filter`}
+          className={`py-1.5 px-2 border rounded text-sm ${
+            filters[field] ? 'border-blue-400 text-blue-700' : 'text-gray-600'
+          }`}
+        >
+          <option value="">{FILTER_LABELS[field]}: All</option>
+          {getFilterOptions(candidates, field).map((option) => (
+            <option key={option.value} value={option.value}>
+              {FILTER_LABELS[field]}: {option.label}
+            </option>
+          ))}
+        </select>
+      ))}
+      {hasActiveFilters && (
+        <button
+          onClick={() => {
+            onSearchChange('');
+            onFiltersChange(EMPTY_FILTERS);
+          }}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <X className="h-4 w-4 mr-1" /> Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default CandidateFilters;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { X, AlertTriangle } from 'lucide-react';
+
+import {
+  EDITABLE_FIELDS,
+  cleanCandidate,
+  findDuplicates,
+  validateCandidate,
+} from '../utils/validation';
+
+const INPUT_TYPES = {
+  contactNumber: 'tel',
+  emailId: 'email',
+  yearOfCompletion: 'number',
+};
+
+// Modal to add a walk-in applicant or correct an existing record
+function CandidateForm({
+  candidate,
+  candidates,
+  batchNames,
+  defaultBatch,
+  onSubmit,
+  onClose,
+}) {
+  const isEdit = Boolean(candidate);
+  const [values, setValues] = useState(() =>
+    EDITABLE_FIELDS.reduce(
+      (acc, { key }) => ({
+        ...acc,
+        [key]:
+          candidate && candidate[key] !== undefined && candidate[key] !== null
+            ? String(candidate[key])
+            : key === 'batch'
+            ? defaultBatch || ''
+            : '',
+      }),
+      {}
+    )
+  );
+  const [submitted, setSubmitted] = useState(false);
+  const [allowDuplicate, setAllowDuplicate] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = validateCandidate(values);
+  const duplicates = findDuplicates(
+    values,
+    candidates,
+    candidate && candidate.id
+  );
+  const streams = [
+    ...new Set(candidates.map((c) => c.stream).filter(Boolean)),
+  ].sort();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+    if (duplicates.length > 0 && !allowDuplicate) return;
+
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSubmit(cleanCandidate(values));
+    } catch (err) {
+      setSaveError('Failed to save candidate. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={isEdit ? 'Edit candidate' : 'Add candidate'}
+        className="bg-white rounded-lg shadow-xl w-full max-w-xl max-h-[90vh] overflow-y-auto"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-800">
+            {isEdit ? `Edit ${candidate.fullName}` : 'Add Candidate'}
+          </h2>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} noValidate className="p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {EDITABLE_FIELDS.map(({ key, label, required }) => (
+              <label
+                key={key}
+                className={`text-sm text-gray-600 ${
+                  key === 'fullName' || key === 'nameOfCollege'
+                    ? 'col-span-2'
+                    : ''
+                }`}
+              >
+                {label}
+                {required && <span className="text-red-500"> *</span>}
+                <input
+                  type={INPUT_TYPES[key] || 'text'}
+                  value={values[key]}
+                  onChange={(e) =>
+                    setValues((current) => ({
+                      ...current,
+                      [key]: e.target.value,
+                    }))
+                  }
+                  list={
+                    key === 'batch'
+                      ? 'candidate-form-batches'
+                      : key === 'stream'
+                      ? 'candidate-form-streams'
+                      : undefined
+                  }
+                  aria-invalid={submitted && Boolean(errors[key])}
+                  className={`mt-1 w-full p-2 border rounded text-sm ${
+                    submitted && errors[key] ? 'border-red-400' : ''
+                  }`}
+                />
+                {submitted && errors[key] && (
+                  <span className="block mt-1 text-xs text-red-600">
+                    {errors[key]}
+                  </span>
+                )}
+              </label>
+            ))}
+          </div>
+          <datalist id="candidate-form-batches">
+            {batchNames.map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+          <datalist id="candidate-form-streams">
+            {streams.map((stream) => (
+              <option key={stream} value={stream} />
+            ))}
+          </datalist>
+
+          {duplicates.length > 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+              <p className="flex items-center font-medium">
+                <AlertTriangle className="h-4 w-4 mr-2" /> Possible duplicate
+                {submitted && !allowDuplicate && ' – confirm below to save'}
+              </p>
+              <ul className="mt-2 space-y-1">
+                {duplicates.map((duplicate) => (
+                  <li key={duplicate.id}>
+                    {duplicate.fullName} – {duplicate.emailId},{' '}
+                    {duplicate.contactNumber} ({duplicate.batch})
+                  </li>
+                ))}
+              </ul>
+              <label className="mt-2 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={allowDuplicate}
+                  onChange={(e) => setAllowDuplicate(e.target.checked)}
+                  className="mr-2"
+                />
+                This is a different person, save anyway
+              </label>
+            </div>
+          )}
+
+          {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : isEdit ? 'Save changes' : 'Add candidate'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default CandidateForm;
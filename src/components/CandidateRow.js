@@ -0,0 +1,185 @@
+import React, { memo } from 'react';
+
+import ContactActions from './ContactActions';
+import StatusPicker from './StatusPicker';
+import { STATUS_FIELD_KEYS } from '../config/statusSchema';
+import { getCellKey } from '../hooks/useStatusUpdates';
+import { formatDate } from '../utils/format';
+import { formatPhone } from '../utils/phone';
+
+// Status cells follow the checkbox and the six detail columns
+const STATUS_COLUMN_OFFSET = 7;
+
+const CELL_FOCUS =
+  'focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-600';
+
+// Focusable controls inside a cell, reached with Enter
+const CELL_CONTROLS = 'input, select, button, a[href]';
+
+// One table row. Memoised so that a status change or a new selection only
+// re-renders the rows it touches; see areRowPropsEqual. Cells are grid cells
+// for useGridNavigation: `activeCol` is the column in the tab order when this
+// row holds the active cell, and null otherwise. Space toggles the checkbox
+// or cycles a status, and Enter moves into the cell's control or opens the
+// candidate.
+function CandidateRow({
+  candidate,
+  rowIndex,
+  activeCol,
+  selected,
+  isNew,
+  pendingCells,
+  editableFields,
+  rowRef,
+  onCellFocus,
+  onToggleSelect,
+  onOpen,
+  onStatusChange,
+  onCycleStatus,
+  onContact,
+}) {
+  const cellProps = (col) => ({
+    role: 'gridcell',
+    'data-row': rowIndex,
+    'data-col': col,
+    tabIndex: activeCol === col ? 0 : -1,
+    onFocus: (e) => {
+      if (e.target === e.currentTarget) onCellFocus(rowIndex, col);
+    },
+  });
+
+  const handleKeyDown = (e) => {
+    const cell = e.target;
+    if (cell.getAttribute('role') !== 'gridcell') return;
+    const { field } = cell.dataset;
+
+    if (e.key === ' ') {
+      e.preventDefault();
+      if (field) {
+        const pending = pendingCells.has(getCellKey(candidate.id, field));
+        if (editableFields.includes(field) && !pending) {
+          onCycleStatus(candidate, field);
+        }
+      } else if (cell.querySelector('input[type="checkbox"]')) {
+        onToggleSelect(candidate.id);
+      }
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      const control = cell.querySelector(CELL_CONTROLS);
+      if (control && !control.disabled) control.focus();
+      else if (e.key === 'Enter') onOpen(candidate.id);
+    }
+  };
+
+  return (
+    <tr
+      ref={rowRef}
+      aria-rowindex={rowIndex + 2}
+      aria-selected={selected}
+      className={`cursor-pointer ${
+        selected
+          ? 'bg-blue-50'
+          : isNew
+          ? 'bg-green-50 hover:bg-green-100'
+          : 'hover:bg-gray-50'
+      }`}
+      onClick={(e) => {
+        // Buttons and checkboxes in the row keep their own action
+        if (!e.target.closest('button, input, select, a')) {
+          onOpen(candidate.id);
+        }
+      }}
+      onKeyDown={handleKeyDown}
+    >
+      <td {...cellProps(0)} className={`px-4 py-4 ${CELL_FOCUS}`}>
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={() => onToggleSelect(candidate.id)}
+          tabIndex={-1}
+          aria-label={`Select ${candidate.fullName}`}
+        />
+      </td>
+      <td
+        {...cellProps(1)}
+        className={`px-6 py-4 whitespace-nowrap text-sm text-gray-500 ${CELL_FOCUS}`}
+      >
+        {formatDate(candidate.dateOfApplication)}
+      </td>
+      <td
+        {...cellProps(2)}
+        className={`px-6 py-4 whitespace-nowrap ${CELL_FOCUS}`}
+      >
+        <div className="text-sm font-medium text-gray-900">
+          {candidate.fullName}
+          {isNew && (
+            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">
+              New
+            </span>
+          )}
+        </div>
+      </td>
+      <td
+        {...cellProps(3)}
+        className={`px-6 py-4 whitespace-nowrap ${CELL_FOCUS}`}
+      >
+        <div className="flex items-center space-x-2 text-sm text-gray-900">
+          <span>{formatPhone(candidate.contactNumber)}</span>
+          <ContactActions
+            candidate={candidate}
+            canWhatsApp={editableFields.includes('whatsappMsg')}
+            canCall={editableFields.includes('phoneEnquiry')}
+            tabIndex={-1}
+            onContact={onContact}
+          />
+        </div>
+        <div className="text-sm text-gray-500">{candidate.emailId}</div>
+      </td>
+      <td {...cellProps(4)} className={`px-6 py-4 ${CELL_FOCUS}`}>
+        <div className="text-sm text-gray-900">{candidate.nameOfCollege}</div>
+        <div className="text-sm text-gray-500">{candidate.stream}</div>
+      </td>
+      <td
+        {...cellProps(5)}
+        className={`px-6 py-4 whitespace-nowrap text-sm text-gray-500 ${CELL_FOCUS}`}
+      >
+        {candidate.yearOfCompletion}
+      </td>
+      <td
+        {...cellProps(6)}
+        className={`px-6 py-4 whitespace-nowrap text-sm text-gray-500 ${CELL_FOCUS}`}
+      >
+        {candidate.batch}
+      </td>
+      {STATUS_FIELD_KEYS.map((field, index) => (
+        <td
+          key={field}
+          {...cellProps(STATUS_COLUMN_OFFSET + index)}
+          data-field={field}
+          className={`px-6 py-4 whitespace-nowrap ${CELL_FOCUS}`}
+        >
+          <StatusPicker
+            field={field}
+            value={candidate[field]}
+            pending={pendingCells.has(getCellKey(candidate.id, field))}
+            disabled={!editableFields.includes(field)}
+            tabIndex={-1}
+            onChange={(value) => onStatusChange(candidate, field, value)}
+          />
+        </td>
+      ))}
+    </tr>
+  );
+}
+
+// pendingCells is shared by every row, so only this row's cells are compared
+const areRowPropsEqual = (prev, next) =>
+  Object.keys(next).every(
+    (key) => key === 'pendingCells' || prev[key] === next[key]
+  ) &&
+  STATUS_FIELD_KEYS.every((field) => {
+    const key = getCellKey(next.candidate.id, field);
+    return prev.pendingCells.has(key) === next.pendingCells.has(key);
+  });
+
+export default memo(CandidateRow, areRowPropsEqual);
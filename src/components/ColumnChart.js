@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Vertical bars over time: [{ label, value }]
+function ColumnChart({ items, height = 160 }) {
+  const largest = Math.max(1, ...items.map((item) => item.value));
+
+  return (
+    <div className="flex items-end gap-1 overflow-x-auto" style={{ height }}>
+      {items.map((item, index) => (
+        <div
+          key={`${item.label}-${index}`}
+          className="flex flex-col items-center justify-end h-full min-w-[28px] flex-1"
+          title={`${item.label}: ${item.value}`}
+        >
+          <span className="text-xs text-gray-600">{item.value || ''}</span>
+          <div
+            className="w-full bg-blue-500 rounded-t"
+            style={{ height: `${(item.value / largest) * (height - 40)}px` }}
+          />
+          <span className="mt-1 text-[10px] text-gray-500 whitespace-nowrap">
+            {item.label}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ColumnChart;
@@ -0,0 +1,54 @@
+import React, { useRef } from 'react';
+
+import useModalDialog from '../hooks/useModalDialog';
+
+// Modal asking the user to confirm an action that can't be undone. Focus
+// starts on Cancel and goes back to where it was on close; Escape cancels.
+function ConfirmDialog({
+  title,
+  children,
+  confirmLabel = 'Confirm',
+  onConfirm,
+  onCancel,
+  busy = false,
+}) {
+  const cancelRef = useRef(null);
+
+  const dialogProps = useModalDialog(cancelRef, () => {
+    if (!busy) onCancel();
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-label={title}
+        {...dialogProps}
+        className="bg-white rounded-lg shadow-xl w-full max-w-md p-6"
+      >
+        <h2 className="text-lg font-medium text-gray-800 mb-3">{title}</h2>
+        <div className="text-sm text-gray-600 space-y-2">{children}</div>
+        <div className="mt-6 flex justify-end space-x-2">
+          <button
+            ref={cancelRef}
+            onClick={onCancel}
+            disabled={busy}
+            className="px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={busy}
+            className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {busy ? 'Working…' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConfirmDialog;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { AlertTriangle, MessageCircle, Phone } from 'lucide-react';
+
+import { getTelLink, isValidPhone } from '../utils/phone';
+
+// WhatsApp and call buttons for a candidate, or a warning if the number
+// can't be dialled. onContact(candidate, 'whatsapp' | 'call').
+function ContactActions({
+  candidate,
+  canWhatsApp,
+  canCall,
+  tabIndex,
+  onContact,
+}) {
+  if (!isValidPhone(candidate.contactNumber)) {
+    return (
+      <span
+        title="Not a valid 10-digit mobile number"
+        className="inline-flex items-center text-xs text-red-600"
+      >
+        <AlertTriangle className="h-3 w-3 mr-1" /> Invalid number
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center space-x-2">
+      {canWhatsApp && (
+        <button
+          onClick={() => onContact(candidate, 'whatsapp')}
+          tabIndex={tabIndex}
+          aria-label={`WhatsApp ${candidate.fullName}`}
+          className="text-green-600 hover:text-green-800"
+        >
+          <MessageCircle className="h-4 w-4" />
+        </button>
+      )}
+      {canCall && (
+        <a
+          href={getTelLink(candidate.contactNumber)}
+          onClick={() => onContact(candidate, 'call')}
+          tabIndex={tabIndex}
+          aria-label={`Call ${candidate.fullName}`}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          <Phone className="h-4 w-4" />
+        </a>
+      )}
+    </span>
+  );
+}
+
+export default ContactActions;
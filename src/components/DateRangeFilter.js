@@ -0,0 +1,72 @@
+import React from 'react';
+import { CalendarRange } from 'lucide-react';
+
+import { ALL_TIME, DATE_PRESETS } from '../utils/dateRange';
+
+// Application date presets and custom from/to inputs above the stats
+function DateRangeFilter({ value, canUseBatchPreset, onChange }) {
+  const options = [{ key: '', label: 'All time' }, ...DATE_PRESETS];
+  const isCustom = !value.preset && Boolean(value.from || value.to);
+
+  return (
+    <div
+      role="group"
+      aria-label="Application date"
+      className="px-6 pt-6 flex flex-wrap items-center gap-2 text-sm"
+    >
+      <span className="inline-flex items-center text-gray-600 mr-1">
+        <CalendarRange className="h-4 w-4 mr-1" /> Applied:
+      </span>
+      {options.map((option) => {
+        const active = option.key
+          ? value.preset === option.key
+          : !value.preset && !isCustom;
+        return (
+          <button
+            key={option.key || 'all'}
+            onClick={() => onChange({ ...ALL_TIME, preset: option.key })}
+            disabled={option.key === 'batchOpened' && !canUseBatchPreset}
+            aria-pressed={active}
+            title={
+              option.key === 'batchOpened' && !canUseBatchPreset
+                ? 'Select a batch with an "Applications open" date'
+                : undefined
+            }
+            className={`px-3 py-1 rounded disabled:opacity-50 ${
+              active
+                ? 'bg-blue-500 text-white'
+                : 'bg-white text-gray-600 shadow hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+      <input
+        type="date"
+        value={value.preset ? '' : value.from}
+        max={value.preset ? undefined : value.to || undefined}
+        onChange={(e) =>
+          onChange({ ...ALL_TIME, from: e.target.value, to: value.to })
+        }
+        aria-label="Applied from"
+        className={`ml-2 p-1 border rounded ${
+          isCustom ? 'border-blue-400' : ''
+        }`}
+      />
+      <span className="text-gray-500">to</span>
+      <input
+        type="date"
+        value={value.preset ? '' : value.to}
+        min={value.preset ? undefined : value.from || undefined}
+        onChange={(e) =>
+          onChange({ ...ALL_TIME, from: value.from, to: e.target.value })
+        }
+        aria-label="Applied to"
+        className={`p-1 border rounded ${isCustom ? 'border-blue-400' : ''}`}
+      />
+    </div>
+  );
+}
+
+export default DateRangeFilter;
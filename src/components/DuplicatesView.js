@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Copy, GitMerge } from 'lucide-react';
+
+import ConfirmDialog from './ConfirmDialog';
+import { getStatusLabel, isStatusField } from '../config/statusSchema';
+import { CANDIDATE_FIELDS } from '../utils/candidates';
+import { getMergedValues, pickPrimary } from '../utils/duplicates';
+import { formatDate } from '../utils/format';
+
+const REASON_LABELS = {
+  phone: 'Same phone',
+  email: 'Same email',
+  name: 'Similar name, same college',
+};
+
+const getGroupKey = (group) =>
+  group.candidates
+    .map((candidate) => String(candidate.id))
+    .sort()
+    .join('-');
+
+const FIELD_LABELS = Object.fromEntries(
+  CANDIDATE_FIELDS.map((field) => [field.key, field.label])
+);
+
+const describeChange = ([field, value]) =>
+  `${FIELD_LABELS[field] || field} → ${
+    isStatusField(field) ? getStatusLabel(field, value) : value
+  }`;
+
+// Likely duplicate applications, with a merge into the record of your choice
+function DuplicatesView({ groups, canMerge, onMerge }) {
+  const [primaryIds, setPrimaryIds] = useState({});
+  const [confirming, setConfirming] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const getPlan = (group) => {
+    const key = getGroupKey(group);
+    const primary =
+      group.candidates.find(
+        (candidate) => String(candidate.id) === primaryIds[key]
+      ) || pickPrimary(group.candidates);
+    const others = group.candidates.filter(
+      (candidate) => candidate !== primary
+    );
+    return { key, primary, others, values: getMergedValues(primary, others) };
+  };
+
+  const handleConfirm = async () => {
+    setBusy(true);
+    try {
+      await onMerge(confirming);
+    } finally {
+      setBusy(false);
+      setConfirming(null);
+    }
+  };
+
+  if (groups.length === 0) {
+    return (
+      <div className="px-6 pb-6">
+        <div className="bg-white p-6 rounded-lg shadow text-gray-500">
+          No likely duplicates found
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-6 pb-6 space-y-4">
+      {groups.map((group) => {
+        const plan = getPlan(group);
+        const changes = Object.entries(plan.values);
+        return (
+          <div key={plan.key} className="bg-white rounded-lg shadow">
+            <div className="p-4 border-b flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <Copy className="h-4 w-4 text-gray-500" />
+                <span className="font-medium">
+                  {group.candidates.length} possible duplicates
+                </span>
+                {group.reasons.map((reason) => (
+                  <span
+                    key={reason}
+                    className="px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800"
+                  >
+                    {REASON_LABELS[reason]}
+                  </span>
+                ))}
+              </div>
+              <button
+                onClick={() => setConfirming(plan)}
+                disabled={!canMerge}
+                title={canMerge ? undefined : 'Only admins can merge records'}
+                className="inline-flex items-center px-3 py-1.5 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+              >
+                <GitMerge className="h-4 w-4 mr-1" /> Merge
+              </button>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Keep', 'Date', 'Name', 'Contact', 'Email', 'College'].map(
+                    (label) => (
+                      <th
+                        key={label}
+                        className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {label}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {group.candidates.map((candidate) => (
+                  <tr key={candidate.id}>
+                    <td className="px-4 py-2">
+                      <input
+                        type="radio"
+                        name={`primary-${plan.key}`}
+                        checked={candidate === plan.primary}
+                        onChange={() =>
+                          setPrimaryIds((current) => ({
+                            ...current,
+                            [plan.key]: String(candidate.id),
+                          }))
+                        }
+                        aria-label={`Keep ${candidate.fullName}`}
+                      />
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {formatDate(candidate.dateOfApplication)}
+                    </td>
+                    <td className="px-4 py-2">{candidate.fullName}</td>
+                    <td className="px-4 py-2">{candidate.contactNumber}</td>
+                    <td className="px-4 py-2">{candidate.emailId}</td>
+                    <td className="px-4 py-2">{candidate.nameOfCollege}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="px-4 py-3 text-xs text-gray-500">
+              {changes.length === 0
+                ? `Merging keeps ${plan.primary.fullName}'s record as it is.`
+                : `Merging updates ${plan.primary.fullName}: ${changes
+                    .map(describeChange)
+                    .join(', ')}`}
+            </p>
+          </div>
+        );
+      })}
+
+      {confirming && (
+        <ConfirmDialog
+          title="Merge duplicates"
+          confirmLabel="Merge"
+          busy={busy}
+          onConfirm={handleConfirm}
+          onCancel={() => setConfirming(null)}
+        >
+          <p>
+            Keep {confirming.primary.fullName} and delete{' '}
+            {confirming.others.length === 1
+              ? 'the other record'
+              : `the other ${confirming.others.length} records`}
+            ? Their ids are kept on the merged record.
+          </p>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+}
+
+export default DuplicatesView;
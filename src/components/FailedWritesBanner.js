@@ -0,0 +1,120 @@
+import React from 'react';
+import { CloudOff, RotateCcw } from 'lucide-react';
+
+import { STATUS_SCHEMA, getStatusLabel } from '../config/statusSchema';
+
+const describeWrite = (write) =>
+  `${write.fullName || `Candidate ${write.id}`}: ${
+    STATUS_SCHEMA[write.field].label
+  } → ${getStatusLabel(write.field, write.value)}`;
+
+// Lists status changes that could not be saved and lets the user retry them,
+// changes waiting for a connection, and offline changes that clash with an
+// edit made in the sheet meanwhile
+function FailedWritesBanner({
+  failedWrites,
+  onRetry,
+  onDiscard,
+  onResolveConflict,
+}) {
+  const conflicts = failedWrites.filter((write) => write.conflict);
+  const queued = failedWrites.filter(
+    (write) => write.offline && !write.conflict
+  );
+  const failed = failedWrites.filter((write) => !write.offline);
+
+  return (
+    <>
+      {conflicts.length > 0 && (
+        <div className="mx-6 mt-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          <p className="font-medium">
+            {conflicts.length} offline{' '}
+            {conflicts.length === 1 ? 'change conflicts' : 'changes conflict'}{' '}
+            with the sheet
+          </p>
+          <ul className="mt-2 space-y-2">
+            {conflicts.map((write) => (
+              <li
+                key={`${write.id}:${write.field}`}
+                className="flex items-center justify-between"
+              >
+                <span>
+                  {describeWrite(write)}, but{' '}
+                  {write.conflict.deleted
+                    ? 'the candidate was removed from the sheet'
+                    : `the sheet now says ${getStatusLabel(
+                        write.field,
+                        write.conflict.serverValue
+                      )}`}
+                </span>
+                <span className="flex space-x-2">
+                  {!write.conflict.deleted && (
+                    <button
+                      onClick={() => onResolveConflict(write, 'mine')}
+                      className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700"
+                    >
+                      Keep mine
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onResolveConflict(write, 'sheet')}
+                    className="px-3 py-1 border border-red-300 rounded hover:bg-red-100"
+                  >
+                    {write.conflict.deleted ? 'Dismiss' : 'Use sheet'}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {queued.length > 0 && (
+        <div className="mx-6 mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <p className="flex items-center">
+            <CloudOff className="h-4 w-4 mr-2" />
+            {queued.length} status{' '}
+            {queued.length === 1 ? 'change is' : 'changes are'} waiting to sync.
+          </p>
+          <ul className="mt-2 space-y-1">
+            {queued.map((write) => (
+              <li key={`${write.id}:${write.field}`}>{describeWrite(write)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {failed.length > 0 && (
+        <div className="mx-6 mt-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <div className="flex items-center justify-between">
+            <span>
+              {failed.length} status{' '}
+              {failed.length === 1 ? 'change' : 'changes'} could not be saved.
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={onRetry}
+                className="inline-flex items-center px-3 py-1 bg-yellow-600 text-white rounded hover:bg-yellow-700"
+              >
+                <RotateCcw className="h-3 w-3 mr-1" /> Retry now
+              </button>
+              <button
+                onClick={onDiscard}
+                className="px-3 py-1 border border-yellow-300 rounded hover:bg-yellow-100"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+          <ul className="mt-2 space-y-1">
+            {failed.map((write) => (
+              <li key={`${write.id}:${write.field}`}>{describeWrite(write)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default FailedWritesBanner;
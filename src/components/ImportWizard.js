@@ -0,0 +1,353 @@
+import React, { useMemo, useState } from 'react';
+import { X, Upload, AlertTriangle } from 'lucide-react';
+
+import {
+  IMPORT_FIELDS,
+  buildImportRows,
+  guessMapping,
+  isDuplicateRow,
+  isValidRow,
+  readSpreadsheet,
+} from '../utils/importCandidates';
+
+const STEPS = ['Upload', 'Map columns', 'Preview', 'Done'];
+
+const describeRow = (row) => {
+  if (!isValidRow(row)) return Object.values(row.errors).join('; ');
+  if (row.duplicateOfRow !== null) {
+    return `Same person as row ${row.duplicateOfRow}`;
+  }
+  if (row.duplicates.length > 0) {
+    return `Already in the sheet: ${row.duplicates
+      .map((duplicate) => `${duplicate.fullName} (${duplicate.batch})`)
+      .join(', ')}`;
+  }
+  return 'Ready';
+};
+
+// Modal that bulk-loads candidates from a CSV/XLSX file: pick a file, map
+// its columns, review validation and duplicates, then import
+function ImportWizard({
+  candidates,
+  batchNames,
+  defaultBatch,
+  onImport,
+  onClose,
+}) {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [batch, setBatch] = useState(defaultBatch || '');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const rows = useMemo(
+    () =>
+      step >= 2 ? buildImportRows(sheet.rows, mapping, candidates, batch) : [],
+    [step, sheet, mapping, candidates, batch]
+  );
+  const validRows = rows.filter(isValidRow);
+  const duplicateRows = validRows.filter(isDuplicateRow);
+  const toImport = includeDuplicates
+    ? validRows
+    : validRows.filter((row) => !isDuplicateRow(row));
+  const unmappedRequired = IMPORT_FIELDS.filter(
+    ({ key, required }) =>
+      required && mapping[key] === undefined && !(key === 'batch' && batch)
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setReadError(null);
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (parsed.rows.length === 0) {
+        setReadError(`${file.name} has no data rows`);
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep(1);
+    } catch (err) {
+      setReadError(`Couldn't read ${file.name}. Is it a CSV or XLSX file?`);
+    }
+  };
+
+  const setColumn = (field, value) =>
+    setMapping((current) => {
+      const { [field]: _, ...rest } = current;
+      return value === '' ? rest : { ...rest, [field]: Number(value) };
+    });
+
+  const submit = async () => {
+    setImporting(true);
+    setImportError(null);
+    try {
+      const result = await onImport(toImport.map((row) => row.values));
+      setReport({
+        added: result.added.length,
+        failed: result.failed.map((failure) => ({
+          rowNumber: toImport[failure.index].rowNumber,
+          fullName: toImport[failure.index].values.fullName,
+          error: failure.error,
+        })),
+        skipped: rows
+          .filter((row) => !toImport.includes(row))
+          .map((row) => ({
+            rowNumber: row.rowNumber,
+            fullName: row.values.fullName,
+            error: describeRow(row),
+          })),
+      });
+      setStep(3);
+    } catch (err) {
+      setImportError('Import failed. Nothing was saved; please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Import candidates"
+        className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-medium text-gray-800">
+              Import candidates
+            </h2>
+            <p className="text-xs text-gray-500">
+              Step {step + 1} of {STEPS.length}: {STEPS[step]}
+              {fileName && ` · ${fileName}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1 text-sm">
+          {step === 0 && (
+            <>
+              <label className="flex flex-col items-center justify-center p-8 border-2 border-dashed rounded-lg text-gray-600 cursor-pointer hover:bg-gray-50">
+                <Upload className="h-6 w-6 mb-2" />
+                Choose a CSV or XLSX file with a header row
+                <input
+                  type="file"
+                  accept=".csv,.xlsx,.xls,text/csv"
+                  onChange={handleFile}
+                  aria-label="Spreadsheet file"
+                  className="sr-only"
+                />
+              </label>
+              {readError && <p className="mt-2 text-red-600">{readError}</p>}
+            </>
+          )}
+
+          {step === 1 && (
+            <>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Field</th>
+                    <th className="py-2">Column</th>
+                    <th className="py-2">First row</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {IMPORT_FIELDS.map(({ key, label, required }) => (
+                    <tr key={key} className="border-t">
+                      <td className="py-2 text-gray-700">
+                        {label}
+                        {required && <span className="text-red-500"> *</span>}
+                      </td>
+                      <td className="py-2">
+                        <select
+                          value={mapping[key] === undefined ? '' : mapping[key]}
+                          onChange={(e) => setColumn(key, e.target.value)}
+                          aria-label={`Column for ${label}`}
+                          className="p-1.5 border rounded"
+                        >
+                          <option value="">— not imported —</option>
+                          {sheet.headers.map((header, index) => (
+                            <option key={index} value={index}>
+                              {header || `Column ${index + 1}`}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-2 text-gray-500 truncate max-w-xs">
+                        {mapping[key] === undefined
+                          ? ''
+                          : sheet.rows[0][mapping[key]]}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="mt-4 block text-gray-600">
+                Batch for rows without one
+                <input
+                  value={batch}
+                  onChange={(e) => setBatch(e.target.value)}
+                  list="import-batches"
+                  className="mt-1 w-full p-2 border rounded"
+                />
+              </label>
+              <datalist id="import-batches">
+                {batchNames.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+              {unmappedRequired.length > 0 && (
+                <p className="mt-3 flex items-center text-yellow-800">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  No column for{' '}
+                  {unmappedRequired.map((field) => field.label).join(', ')};
+                  those rows will fail validation
+                </p>
+              )}
+            </>
+          )}
+
+          {step === 2 && (
+            <>
+              <p className="mb-3 text-gray-700">
+                {sheet.rows.length} rows:{' '}
+                {validRows.length - duplicateRows.length} ready,{' '}
+                {duplicateRows.length} possible duplicates,{' '}
+                {rows.length - validRows.length} with errors
+              </p>
+              {duplicateRows.length > 0 && (
+                <label className="mb-3 flex items-center text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={includeDuplicates}
+                    onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Import possible duplicates too
+                </label>
+              )}
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2 pr-2">Row</th>
+                    <th className="py-2 pr-2">Name</th>
+                    <th className="py-2 pr-2">Email</th>
+                    <th className="py-2 pr-2">Contact</th>
+                    <th className="py-2 pr-2">Batch</th>
+                    <th className="py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr
+                      key={row.rowNumber}
+                      className={`border-t ${
+                        !isValidRow(row)
+                          ? 'bg-red-50'
+                          : isDuplicateRow(row)
+                          ? 'bg-yellow-50'
+                          : ''
+                      }`}
+                    >
+                      <td className="py-1 pr-2 text-gray-500">
+                        {row.rowNumber}
+                      </td>
+                      <td className="py-1 pr-2">{row.values.fullName}</td>
+                      <td className="py-1 pr-2">{row.values.emailId}</td>
+                      <td className="py-1 pr-2">{row.values.contactNumber}</td>
+                      <td className="py-1 pr-2">{row.values.batch}</td>
+                      <td className="py-1 text-gray-600">{describeRow(row)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {importError && (
+                <p className="mt-3 text-red-600">{importError}</p>
+              )}
+            </>
+          )}
+
+          {step === 3 && report && (
+            <>
+              <p className="mb-3 font-medium text-gray-800">
+                Imported {report.added} of {sheet.rows.length} rows
+              </p>
+              {report.failed.length + report.skipped.length > 0 && (
+                <ul className="space-y-1 text-red-800">
+                  {[...report.failed, ...report.skipped]
+                    .sort((a, b) => a.rowNumber - b.rowNumber)
+                    .map((entry) => (
+                      <li key={entry.rowNumber}>
+                        Row {entry.rowNumber}
+                        {entry.fullName && ` (${entry.fullName})`}:{' '}
+                        {entry.error}
+                      </li>
+                    ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-between">
+          <button
+            onClick={() => setStep((current) => current - 1)}
+            disabled={step === 0 || step === 3 || importing}
+            className="px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Back
+          </button>
+          {step === 1 && (
+            <button
+              onClick={() => setStep(2)}
+              disabled={Object.keys(mapping).length === 0}
+              className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+            >
+              Preview
+            </button>
+          )}
+          {step === 2 && (
+            <button
+              onClick={submit}
+              disabled={importing || toImport.length === 0}
+              className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+            >
+              {importing
+                ? 'Importing…'
+                : `Import ${toImport.length} ${
+                    toImport.length === 1 ? 'candidate' : 'candidates'
+                  }`}
+            </button>
+          )}
+          {step === 3 && (
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600"
+            >
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportWizard;
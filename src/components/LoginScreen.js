@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+
+import { getDataSource } from '../api';
+
+// Email and password sign-in; lists the demo accounts in local mode
+function LoginScreen({ onSignIn }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onSignIn({ email, password });
+    } catch (err) {
+      setError(
+        err.status === 401
+          ? 'Incorrect email or password'
+          : 'Sign-in failed. Please try again.'
+      );
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex h-screen justify-center items-center bg-gray-100">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded-lg shadow w-full max-w-sm space-y-4"
+      >
+        <h1 className="text-xl font-semibold text-gray-800">
+          Candidate Dashboard
+        </h1>
+        <div>
+          <label
+            htmlFor="login-email"
+            className="block text-sm font-medium text-gray-600 mb-1"
+          >
+            Email
+          </label>
+          <input
+            id="login-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="username"
+            required
+            className="w-full p-2 border rounded text-sm"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="login-password"
+            className="block text-sm font-medium text-gray-600 mb-1"
+          >
+            Password
+          </label>
+          <input
+            id="login-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="w-full p-2 border rounded text-sm"
+          />
+        </div>
+        {error && (
+          <p role="alert" className="text-sm text-red-600">
+            {error}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full p-2 inline-flex items-center justify-center bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+        >
+          <LogIn className="h-4 w-4 mr-2" /> {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+        {getDataSource().name === 'local' && (
+          <p className="text-xs text-gray-500">
+            Demo accounts: viewer@example.com, caller@example.com and
+            admin@example.com; the password is the part before the @.
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
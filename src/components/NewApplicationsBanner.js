@@ -0,0 +1,36 @@
+import React from 'react';
+import { UserPlus } from 'lucide-react';
+
+// Counts applicants that arrived from the sheet after the page was opened
+function NewApplicationsBanner({ count, onShow, onDismiss }) {
+  if (count === 0) return null;
+
+  return (
+    <div
+      role="status"
+      className="mx-6 mt-6 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center justify-between"
+    >
+      <span className="inline-flex items-center">
+        <UserPlus className="h-4 w-4 mr-2" />
+        {count} new {count === 1 ? 'application' : 'applications'} since you
+        opened this
+      </span>
+      <div className="flex space-x-2">
+        <button
+          onClick={onShow}
+          className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700"
+        >
+          Show newest
+        </button>
+        <button
+          onClick={onDismiss}
+          className="px-3 py-1 border border-green-300 rounded hover:bg-green-100"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NewApplicationsBanner;
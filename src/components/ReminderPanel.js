@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Mail, Clock, Send, History, AlertTriangle } from 'lucide-react';
+
+import * as api from '../api';
+import ConfirmDialog from './ConfirmDialog';
+import useReminderTemplates from '../hooks/useReminderTemplates';
+import {
+  formatCountdown,
+  getDaysUntil,
+  getReminderDate,
+  parseBatchDate,
+} from '../utils/batches';
+import { formatDate, formatDateTime } from '../utils/format';
+import { REMINDER_OFFSETS, getPreviousSends } from '../utils/reminders';
+import { TEMPLATE_PLACEHOLDERS, renderTemplate } from '../utils/templates';
+
+const STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+// Preview, edit, send or schedule the "N days before" emails for one batch
+function ReminderPanel({
+  batch,
+  startDate,
+  recipients,
+  author,
+  canSend,
+  onNotify,
+}) {
+  const [days, setDays] = useState(REMINDER_OFFSETS[0]);
+  const [log, setLog] = useState([]);
+  const [logError, setLogError] = useState(null);
+  const [sendAt, setSendAt] = useState('');
+  const [confirming, setConfirming] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { getTemplate, setTemplate, resetTemplate } = useReminderTemplates();
+
+  const template = getTemplate(days);
+  const previousSends = getPreviousSends(log, days);
+  const scheduledSends = log.filter(
+    (reminder) => reminder.status === 'scheduled' && reminder.days === days
+  );
+  const missingEmail = recipients.filter((candidate) => !candidate.emailId);
+  const sample = recipients[0] || { fullName: 'Candidate name' };
+  const templateValues = { batch, days };
+
+  const loadLog = useCallback(() => {
+    api
+      .fetchReminderLog(batch)
+      .then((entries) => {
+        setLog(entries || []);
+        setLogError(null);
+      })
+      .catch(() => setLogError('Failed to load reminder history'));
+  }, [batch]);
+
+  useEffect(() => {
+    loadLog();
+  }, [loadLog]);
+
+  const handleConfirm = async () => {
+    if (!canSend) return;
+    setBusy(true);
+    try {
+      if (confirming === 'send') {
+        const result = await api.sendReminders({
+          days,
+          batch,
+          ...template,
+          author,
+        });
+        onNotify(
+          `Reminder emails sent to ${
+            result && result.count !== undefined
+              ? result.count
+              : recipients.length
+          } ${batch} candidates for ${days} days before program`,
+          { type: 'success' }
+        );
+      } else {
+        await api.scheduleReminder({
+          days,
+          batch,
+          ...template,
+          author,
+          sendAt: new Date(sendAt).toISOString(),
+        });
+        setSendAt('');
+        onNotify(
+          `${days}-day reminder scheduled for ${formatDateTime(sendAt)}`,
+          { type: 'success' }
+        );
+      }
+      loadLog();
+    } catch (err) {
+      onNotify(
+        confirming === 'send'
+          ? 'Failed to send reminders. Please try again.'
+          : 'Failed to schedule reminder. Please try again.'
+      );
+    } finally {
+      setBusy(false);
+      setConfirming(null);
+    }
+  };
+
+  const cancelScheduled = async (id) => {
+    try {
+      await api.cancelReminder(id);
+      loadLog();
+    } catch (err) {
+      onNotify('Failed to cancel the scheduled reminder.');
+    }
+  };
+
+  // Reminders go out at 9am on the day they correspond to
+  const reminderDate = getReminderDate(startDate, days);
+  const applyReminderDate = () => {
+    const pad = (n) => String(n).padStart(2, '0');
+    setSendAt(
+      `${reminderDate.getFullYear()}-${pad(reminderDate.getMonth() + 1)}-${pad(
+        reminderDate.getDate()
+      )}T09:00`
+    );
+  };
+
+  const sendAtIsFuture = sendAt && new Date(sendAt).getTime() > Date.now();
+
+  return (
+    <div className="px-6 pb-6 space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center mb-4">
+          <Mail className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-medium">Reminders – {batch}</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {startDate
+            ? `Program starts ${formatDate(
+                parseBatchDate(startDate)
+              )} (${formatCountdown(getDaysUntil(startDate)).toLowerCase()})`
+            : 'No start date set for this batch, so reminder dates are unknown'}
+        </p>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {REMINDER_OFFSETS.map((offset) => {
+            const sent = getPreviousSends(log, offset);
+            const offsetDate = getReminderDate(startDate, offset);
+            return (
+              <button
+                key={offset}
+                onClick={() => setDays(offset)}
+                className={`px-4 py-2 rounded text-sm border ${
+                  days === offset
+                    ? 'bg-blue-500 text-white border-blue-500'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {offset} days before
+                {offsetDate && (
+                  <span className="block text-xs opacity-80">
+                    {formatDate(offsetDate)}
+                  </span>
+                )}
+                {sent.length > 0 && (
+                  <span className="block text-xs opacity-80">
+                    sent {formatDateTime(sent[sent.length - 1].sentAt)}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="grid grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <h3 className="text-md font-medium text-gray-700">Template</h3>
+            <input
+              type="text"
+              value={template.subject}
+              onChange={(e) =>
+                setTemplate(days, { ...template, subject: e.target.value })
+              }
+              aria-label="Email subject"
+              className="w-full p-2 border rounded text-sm"
+            />
+            <textarea
+              value={template.body}
+              onChange={(e) =>
+                setTemplate(days, { ...template, body: e.target.value })
+              }
+              rows={8}
+              aria-label="Email body"
+              className="w-full p-2 border rounded text-sm font-mono"
+            />
+            <div className="flex items-center justify-between text-xs text-gray-500">
+              <span>
+                Placeholders:{' '}
+                {TEMPLATE_PLACEHOLDERS.map((name) => `{${name}}`).join(' ')}
+              </span>
+              <button
+                onClick={() => resetTemplate(days)}
+                className="text-blue-600 hover:underline"
+              >
+                Reset to default
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="text-md font-medium text-gray-700">
+              Preview for {sample.fullName}
+            </h3>
+            <div className="p-3 border rounded bg-gray-50 text-sm">
+              <p className="font-medium text-gray-900">
+                {renderTemplate(template.subject, sample, templateValues)}
+              </p>
+              <p className="mt-2 text-gray-700 whitespace-pre-wrap">
+                {renderTemplate(template.body, sample, templateValues)}
+              </p>
+            </div>
+            <h3 className="text-md font-medium text-gray-700">
+              Recipients ({recipients.length})
+            </h3>
+            {missingEmail.length > 0 && (
+              <p className="text-xs text-yellow-700">
+                {missingEmail.length} without an email address will be skipped
+              </p>
+            )}
+            <ul className="max-h-40 overflow-y-auto border rounded divide-y text-sm">
+              {recipients.map((candidate) => (
+                <li
+                  key={candidate.id}
+                  className="px-3 py-1.5 flex justify-between"
+                >
+                  <span>{candidate.fullName}</span>
+                  <span
+                    className={
+                      candidate.emailId ? 'text-gray-500' : 'text-yellow-700'
+                    }
+                  >
+                    {candidate.emailId || 'no email'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        {!canSend && (
+          <p className="mt-6 text-sm text-gray-500">
+            Only admins can send or schedule reminders.
+          </p>
+        )}
+        <div className="mt-6 pt-4 border-t flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => setConfirming('send')}
+            disabled={!canSend || recipients.length === 0}
+            className="inline-flex items-center px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Send className="h-4 w-4 mr-2" /> Send now
+          </button>
+          <span className="text-sm text-gray-500">or schedule for</span>
+          <input
+            type="datetime-local"
+            value={sendAt}
+            onChange={(e) => setSendAt(e.target.value)}
+            aria-label="Schedule date and time"
+            className="p-2 border rounded text-sm"
+          />
+          {reminderDate && reminderDate.getTime() > Date.now() && (
+            <button
+              onClick={applyReminderDate}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              Use {formatDate(reminderDate)}, 09:00
+            </button>
+          )}
+          <button
+            onClick={() => setConfirming('schedule')}
+            disabled={!canSend || !sendAtIsFuture || recipients.length === 0}
+            className="inline-flex items-center px-4 py-2 border rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Clock className="h-4 w-4 mr-2" /> Schedule
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center mb-4">
+          <History className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-medium">Send History</h2>
+        </div>
+        {logError && <p className="text-sm text-red-600 mb-2">{logError}</p>}
+        {log.length === 0 ? (
+          <p className="text-gray-500 text-sm">
+            No reminders sent for this batch yet
+          </p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4">Reminder</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">When</th>
+                <th className="py-2 pr-4">Recipients</th>
+                <th className="py-2 pr-4">By</th>
+                <th className="py-2">
+                  <span className="sr-only">Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {[...log].reverse().map((reminder) => (
+                <tr key={reminder.id}>
+                  <td className="py-2 pr-4">{reminder.days} days before</td>
+                  <td className="py-2 pr-4">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${
+                        STATUS_STYLES[reminder.status] || ''
+                      }`}
+                    >
+                      {reminder.status}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {formatDateTime(reminder.sentAt || reminder.sendAt)}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {reminder.count !== undefined ? reminder.count : '—'}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {reminder.author || '—'}
+                  </td>
+                  <td className="py-2 text-right">
+                    {canSend && reminder.status === 'scheduled' && (
+                      <button
+                        onClick={() => cancelScheduled(reminder.id)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {confirming && (
+        <ConfirmDialog
+          title={
+            confirming === 'send'
+              ? `Send ${days}-day reminder now?`
+              : `Schedule ${days}-day reminder?`
+          }
+          confirmLabel={
+            confirming === 'send'
+              ? previousSends.length > 0
+                ? 'Send again'
+                : 'Send'
+              : 'Schedule'
+          }
+          busy={busy}
+          onConfirm={handleConfirm}
+          onCancel={() => setConfirming(null)}
+        >
+          <p>
+            {recipients.length - missingEmail.length} candidates in {batch} will
+            receive “{renderTemplate(template.subject, sample, templateValues)}”
+            {confirming === 'schedule' && ` on ${formatDateTime(sendAt)}`}.
+          </p>
+          {previousSends.length > 0 && (
+            <p className="flex items-start text-yellow-800 bg-yellow-50 p-2 rounded">
+              <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+              The {days}-day reminder was already sent on{' '}
+              {formatDateTime(previousSends[previousSends.length - 1].sentAt)}.
+            </p>
+          )}
+          {scheduledSends.length > 0 && (
+            <p className="flex items-start text-yellow-800 bg-yellow-50 p-2 rounded">
+              <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+              The {days}-day reminder is also scheduled for{' '}
+              {formatDateTime(scheduledSends[0].sendAt)}.
+            </p>
+          )}
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+}
+
+export default ReminderPanel;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Bookmark, Link, Plus, X } from 'lucide-react';
+
+// Sidebar list of named views; the current URL state can be saved as one
+function SavedViews({
+  views,
+  currentQuery,
+  suggestedName,
+  onApply,
+  onSave,
+  onDelete,
+  onCopyLink,
+}) {
+  const [name, setName] = useState(null);
+
+  const save = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName(null);
+  };
+
+  return (
+    <div className="p-4 border-t">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-md font-medium text-gray-600">Saved views</h2>
+        <button
+          onClick={onCopyLink}
+          aria-label="Copy link to this view"
+          title="Copy link to this view"
+          className="text-gray-400 hover:text-gray-700"
+        >
+          <Link className="h-4 w-4" />
+        </button>
+      </div>
+      {views.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-2">No saved views yet</p>
+      ) : (
+        <ul>
+          {views.map((view) => (
+            <li
+              key={view.id}
+              className={`p-2 rounded mb-1 flex items-center justify-between text-sm ${
+                view.query === currentQuery
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'hover:bg-gray-100'
+              }`}
+            >
+              <button
+                onClick={() => onApply(view)}
+                title={view.name}
+                className="flex-1 min-w-0 inline-flex items-center text-left"
+              >
+                <Bookmark className="h-3 w-3 mr-2 shrink-0" />
+                <span className="truncate">{view.name}</span>
+              </button>
+              <button
+                onClick={() => onDelete(view.id)}
+                aria-label={`Delete view ${view.name}`}
+                className="ml-2 text-gray-400 hover:text-gray-700"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {name === null ? (
+        <button
+          onClick={() => setName(suggestedName)}
+          className="mt-1 inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="h-4 w-4 mr-1" /> Save current view
+        </button>
+      ) : (
+        <form onSubmit={save} className="mt-1 space-y-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            aria-label="View name"
+            autoFocus
+            className="w-full p-1.5 border rounded text-sm"
+          />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setName(null)}
+              className="px-3 py-1 border rounded text-sm hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SavedViews;
@@ -0,0 +1,96 @@
+import React, { useRef } from 'react';
+import { Keyboard, X } from 'lucide-react';
+
+import useModalDialog from '../hooks/useModalDialog';
+
+// Listed in the dialog; the page shortcuts are wired up in App.js and the
+// table keys in useGridNavigation and CandidateRow
+const SHORTCUT_GROUPS = [
+  {
+    title: 'Anywhere',
+    keys: [
+      { keys: ['[', ']'], action: 'Previous / next batch' },
+      { keys: ['/'], action: 'Search candidates' },
+      { keys: ['t'], action: 'Go to the candidate table' },
+      { keys: ['?'], action: 'Show this list' },
+    ],
+  },
+  {
+    title: 'Candidate table',
+    keys: [
+      { keys: ['←', '↑', '→', '↓'], action: 'Move between cells' },
+      { keys: ['Home', 'End'], action: 'First / last cell in the row' },
+      { keys: ['Ctrl+Home', 'Ctrl+End'], action: 'First / last candidate' },
+      { keys: ['Page Up', 'Page Down'], action: 'Move 10 rows' },
+      {
+        keys: ['Space'],
+        action: 'Next status, or select the candidate in the first column',
+      },
+      { keys: ['Enter'], action: "Use the cell's control or open the row" },
+      { keys: ['Esc'], action: 'Back from a control to its cell' },
+    ],
+  },
+];
+
+// Keyboard shortcut reference, opened with "?". Focus goes back to where it
+// was on close.
+function ShortcutsDialog({ onClose }) {
+  const closeRef = useRef(null);
+
+  const dialogProps = useModalDialog(closeRef, onClose);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        {...dialogProps}
+        className="bg-white rounded-lg shadow-xl w-full max-w-lg"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2
+            id="shortcuts-title"
+            className="inline-flex items-center text-lg font-medium text-gray-800"
+          >
+            <Keyboard className="h-5 w-5 mr-2" /> Keyboard shortcuts
+          </h2>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <div className="p-4 space-y-4 text-sm">
+          {SHORTCUT_GROUPS.map((group) => (
+            <section key={group.title}>
+              <h3 className="font-medium text-gray-700 mb-2">{group.title}</h3>
+              <dl className="space-y-1">
+                {group.keys.map((shortcut) => (
+                  <div key={shortcut.action} className="flex justify-between">
+                    <dt className="space-x-1">
+                      {shortcut.keys.map((key) => (
+                        <kbd
+                          key={key}
+                          className="px-1.5 py-0.5 border rounded bg-gray-50 font-mono text-xs"
+                        >
+                          {key}
+                        </kbd>
+                      ))}
+                    </dt>
+                    <dd className="text-gray-600">{shortcut.action}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutsDialog;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { WifiOff } from 'lucide-react';
+
+import { formatDateTime } from '../utils/format';
+
+// Shown while offline or when the data on screen came from the saved snapshot
+function StaleDataBanner({ isOnline, fromSnapshot, syncedAt }) {
+  if (isOnline && !fromSnapshot) return null;
+
+  return (
+    <div
+      role="status"
+      className="mx-6 mt-6 p-4 bg-gray-50 border border-gray-300 rounded-lg text-sm text-gray-700 flex items-center"
+    >
+      <WifiOff className="h-4 w-4 mr-2" />
+      {isOnline ? "Can't reach the sheet" : "You're offline"}. Showing data
+      stale as of {syncedAt ? formatDateTime(syncedAt) : 'an unknown time'};
+      status changes are saved on this device and synced when the connection
+      returns.
+    </div>
+  );
+}
+
+export default StaleDataBanner;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+
+import { STATUS_SCHEMA, TONE_STYLES } from '../config/statusSchema';
+
+// Count of candidates in every configured state, one column per field
+function StatusBreakdown({ breakdown }) {
+  return (
+    <div className="px-6 pb-6">
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center mb-4">
+          <Layers className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-medium">Status Breakdown</h2>
+        </div>
+        <div className="grid grid-cols-4 gap-6">
+          {breakdown.map(({ field, counts }) => (
+            <div key={field}>
+              <h3 className="text-sm font-medium text-gray-600 mb-2">
+                {STATUS_SCHEMA[field].label}
+              </h3>
+              <ul className="space-y-1">
+                {counts.map((state) => (
+                  <li
+                    key={state.value}
+                    className="flex items-center justify-between text-sm"
+                  >
+                    <span
+                      className={`px-2 py-0.5 border rounded text-xs ${
+                        TONE_STYLES[state.tone]
+                      }`}
+                    >
+                      {state.label}
+                    </span>
+                    <span className="font-semibold">{state.count}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StatusBreakdown;
@@ -0,0 +1,69 @@
+import React from 'react';
+import {
+  CircleCheck,
+  CircleDashed,
+  CircleX,
+  Clock,
+  Info,
+  Loader2,
+} from 'lucide-react';
+
+import {
+  STATUS_SCHEMA,
+  TONE_STYLES,
+  getStatusState,
+} from '../config/statusSchema';
+
+// A shape per tone so states don't differ by colour alone
+const TONE_ICONS = {
+  success: { icon: CircleCheck, className: 'text-green-700' },
+  info: { icon: Info, className: 'text-blue-700' },
+  warning: { icon: Clock, className: 'text-yellow-700' },
+  danger: { icon: CircleX, className: 'text-red-700' },
+  neutral: { icon: CircleDashed, className: 'text-gray-500' },
+};
+
+// Coloured dropdown for one status cell; shows a spinner while saving
+function StatusPicker({
+  field,
+  value,
+  pending,
+  disabled = false,
+  tabIndex,
+  onChange,
+}) {
+  const { label, states } = STATUS_SCHEMA[field];
+  const current = getStatusState(field, value);
+  const { icon: ToneIcon, className: iconClassName } = TONE_ICONS[current.tone];
+
+  return (
+    <span className="inline-flex items-center">
+      <ToneIcon
+        aria-hidden="true"
+        className={`h-4 w-4 mr-1 shrink-0 ${iconClassName}`}
+      />
+      <select
+        value={current.value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={pending || disabled}
+        tabIndex={tabIndex}
+        aria-label={`${label} status`}
+        aria-busy={pending}
+        className={`px-2 py-1.5 border rounded text-xs font-medium ${
+          TONE_STYLES[current.tone]
+        } ${pending ? 'opacity-60 cursor-wait' : ''}`}
+      >
+        {states.map((state) => (
+          <option key={state.value} value={state.value}>
+            {state.label}
+          </option>
+        ))}
+      </select>
+      {pending && (
+        <Loader2 className="h-3 w-3 ml-1 animate-spin text-gray-500" />
+      )}
+    </span>
+  );
+}
+
+export default StatusPicker;
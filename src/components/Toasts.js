@@ -0,0 +1,40 @@
+import React from 'react';
+import { CheckCircle, XCircle, X } from 'lucide-react';
+
+const TOAST_STYLES = {
+  error: 'bg-red-50 border-red-200 text-red-800',
+  success: 'bg-green-50 border-green-200 text-green-800',
+  info: 'bg-blue-50 border-blue-200 text-blue-800',
+};
+
+function Toasts({ toasts, onDismiss }) {
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role={toast.type === 'error' ? 'alert' : 'status'}
+          className={`flex items-start p-3 border rounded shadow text-sm ${
+            TOAST_STYLES[toast.type] || TOAST_STYLES.info
+          }`}
+        >
+          {toast.type === 'success' ? (
+            <CheckCircle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+          ) : (
+            <XCircle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+          )}
+          <span className="flex-1">{toast.message}</span>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            aria-label="Dismiss notification"
+            className="ml-2 opacity-60 hover:opacity-100"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toasts;
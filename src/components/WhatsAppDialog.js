@@ -0,0 +1,103 @@
+import React, { useRef, useState } from 'react';
+import { MessageCircle, X } from 'lucide-react';
+
+import useModalDialog from '../hooks/useModalDialog';
+import useWhatsAppTemplate from '../hooks/useWhatsAppTemplate';
+import { formatPhone, getWhatsAppLink } from '../utils/phone';
+import { TEMPLATE_PLACEHOLDERS, renderTemplate } from '../utils/templates';
+
+// Opens a wa.me chat with a templated message, then asks whether it was
+// sent so WhatsApp can be marked as sent. Focus starts on Close and goes
+// back to where it was on close.
+function WhatsAppDialog({ candidate, canMarkSent, onMarkSent, onClose }) {
+  const closeRef = useRef(null);
+  const dialogProps = useModalDialog(closeRef, onClose);
+  const { template, setTemplate, resetTemplate } = useWhatsAppTemplate();
+  const [opened, setOpened] = useState(false);
+
+  const message = renderTemplate(template, candidate);
+  const link = getWhatsAppLink(candidate.contactNumber, message);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={`WhatsApp ${candidate.fullName}`}
+        {...dialogProps}
+        className="bg-white rounded-lg shadow-xl w-full max-w-lg"
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-800">
+            WhatsApp {candidate.fullName}
+          </h2>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm">
+          <p className="text-gray-500">
+            To {formatPhone(candidate.contactNumber)}
+          </p>
+          <textarea
+            value={template}
+            onChange={(e) => setTemplate(e.target.value)}
+            rows={4}
+            aria-label="Message template"
+            className="w-full p-2 border rounded font-mono"
+          />
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              Placeholders:{' '}
+              {TEMPLATE_PLACEHOLDERS.filter((name) => name !== 'days')
+                .map((name) => `{${name}}`)
+                .join(' ')}
+            </span>
+            <button
+              onClick={resetTemplate}
+              className="text-blue-600 hover:underline"
+            >
+              Reset to default
+            </button>
+          </div>
+          <div className="p-3 bg-green-50 border border-green-200 rounded whitespace-pre-wrap">
+            {message}
+          </div>
+        </div>
+
+        <div className="p-4 border-t flex items-center justify-end space-x-2">
+          {opened && canMarkSent && (
+            <>
+              <span className="text-sm text-gray-600 mr-auto">
+                Did the message go out?
+              </span>
+              <button
+                onClick={onMarkSent}
+                className="px-4 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600"
+              >
+                Mark as sent
+              </button>
+            </>
+          )}
+          <a
+            href={link}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={() => setOpened(true)}
+            className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+          >
+            <MessageCircle className="h-4 w-4 mr-2" /> Open WhatsApp
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WhatsAppDialog;
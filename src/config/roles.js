@@ -0,0 +1,51 @@
+import { STATUS_FIELD_KEYS } from './statusSchema';
+
+// What each sign-in role may do. Keys:
+//   label         shown next to the signed-in user
+//   statusFields  status columns the role can change
+//   permissions   other actions:
+//                   addNotes        write notes on a candidate
+//                   editCandidates  add, edit and merge candidate records
+//                   sendReminders   send, schedule and cancel reminder emails
+//                   editBatches     change batch start dates and capacity
+// The local data source enforces the same rules, so the UI and the mock
+// backend agree on what a role can do.
+export const ROLES = {
+  viewer: {
+    label: 'Viewer',
+    statusFields: [],
+    permissions: [],
+  },
+  caller: {
+    label: 'Caller',
+    statusFields: ['phoneEnquiry', 'whatsappMsg'],
+    permissions: ['addNotes'],
+  },
+  admin: {
+    label: 'Admin',
+    statusFields: STATUS_FIELD_KEYS,
+    permissions: ['addNotes', 'editCandidates', 'sendReminders', 'editBatches'],
+  },
+};
+
+const getRole = (user) => (user && ROLES[user.role]) || null;
+
+export const getRoleLabel = (user) => {
+  const role = getRole(user);
+  return role ? role.label : 'Signed out';
+};
+
+export const canEditStatus = (user, field) => {
+  const role = getRole(user);
+  return Boolean(role && role.statusFields.includes(field));
+};
+
+export const getEditableStatusFields = (user) => {
+  const role = getRole(user);
+  return role ? role.statusFields : [];
+};
+
+export const hasPermission = (user, permission) => {
+  const role = getRole(user);
+  return Boolean(role && role.permissions.includes(permission));
+};
@@ -0,0 +1,168 @@
+// Outreach states for each status column. Edit this file to add, rename or
+// recolour states; pickers, filters, bulk actions, stats and exports all
+// read from it.
+//
+// Per field:
+//   label     column name shown in the UI
+//   fallback  state used for blank or unknown values coming from the sheet
+//   states    in the order the picker lists them
+//
+// Per state:
+//   value     what is stored in the sheet
+//   label     what the UI shows
+//   tone      success | info | warning | danger | neutral (picks the colour)
+//   complete  counts as "done" in stats, the funnel and completion rates
+//   final     an outcome; completion rates are complete / final
+//   rank      how far along the candidate is; merging duplicates keeps the
+//             highest-ranked state
+export const STATUS_SCHEMA = {
+  whatsappMsg: {
+    label: 'WhatsApp',
+    fallback: 'pending',
+    states: [
+      { value: 'pending', label: 'Pending', tone: 'warning', rank: 0 },
+      {
+        value: 'sent',
+        label: 'Sent',
+        tone: 'success',
+        rank: 2,
+        complete: true,
+        final: true,
+      },
+      {
+        value: 'not on whatsapp',
+        label: 'Not on WhatsApp',
+        tone: 'danger',
+        rank: 1,
+        final: true,
+      },
+    ],
+  },
+  phoneEnquiry: {
+    label: 'Phone',
+    fallback: 'not done',
+    states: [
+      { value: 'not done', label: 'Not Done', tone: 'warning', rank: 0 },
+      { value: 'not reached', label: 'Not Reached', tone: 'warning', rank: 1 },
+      {
+        value: 'callback requested',
+        label: 'Callback Requested',
+        tone: 'info',
+        rank: 2,
+      },
+      {
+        value: 'not interested',
+        label: 'Not Interested',
+        tone: 'danger',
+        rank: 3,
+        final: true,
+      },
+      {
+        value: 'done',
+        label: 'Done',
+        tone: 'success',
+        rank: 4,
+        complete: true,
+        final: true,
+      },
+    ],
+  },
+  online: {
+    label: 'Online',
+    fallback: '',
+    states: [
+      { value: '', label: 'Not Set', tone: 'neutral', rank: 0 },
+      {
+        value: 'attended',
+        label: 'Attended',
+        tone: 'success',
+        rank: 2,
+        complete: true,
+        final: true,
+      },
+      {
+        value: 'absent',
+        label: 'Absent',
+        tone: 'danger',
+        rank: 1,
+        final: true,
+      },
+    ],
+  },
+  program: {
+    label: 'Program',
+    fallback: '',
+    states: [
+      { value: '', label: 'Not Set', tone: 'neutral', rank: 0 },
+      { value: 'confirmed', label: 'Confirmed', tone: 'info', rank: 1 },
+      {
+        value: 'attended',
+        label: 'Attended',
+        tone: 'success',
+        rank: 4,
+        complete: true,
+        final: true,
+      },
+      {
+        value: 'dropped',
+        label: 'Dropped',
+        tone: 'danger',
+        rank: 3,
+        final: true,
+      },
+      {
+        value: 'ghosted',
+        label: 'Ghosted',
+        tone: 'danger',
+        rank: 2,
+        final: true,
+      },
+    ],
+  },
+};
+
+export const STATUS_FIELD_KEYS = Object.keys(STATUS_SCHEMA);
+
+export const isStatusField = (field) =>
+  Object.prototype.hasOwnProperty.call(STATUS_SCHEMA, field);
+
+const normalizeValue = (value) =>
+  value === undefined || value === null
+    ? ''
+    : String(value).trim().toLowerCase();
+
+// The configured state for a stored value, or the field's fallback state
+export const getStatusState = (field, value) => {
+  const { states, fallback } = STATUS_SCHEMA[field];
+  const normalized = normalizeValue(value);
+  return (
+    states.find((state) => state.value === normalized) ||
+    states.find((state) => state.value === fallback)
+  );
+};
+
+export const getStatusLabel = (field, value) =>
+  getStatusState(field, value).label;
+
+export const getStatusRank = (field, value) =>
+  getStatusState(field, value).rank || 0;
+
+export const isStatusComplete = (field, value) =>
+  Boolean(getStatusState(field, value).complete);
+
+// Tailwind classes per tone, shared by every status control
+export const TONE_STYLES = {
+  success: 'bg-green-100 text-green-800 border-green-200',
+  info: 'bg-blue-100 text-blue-800 border-blue-200',
+  warning: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  danger: 'bg-red-100 text-red-800 border-red-200',
+  neutral: 'bg-gray-100 text-gray-700 border-gray-200',
+};
+
+// The state after `value` in schema order, wrapping round to the first; used
+// to cycle a status from the keyboard
+export const getNextStatusValue = (field, value) => {
+  const { states } = STATUS_SCHEMA[field];
+  const index = states.indexOf(getStatusState(field, value));
+  return states[(index + 1) % states.length].value;
+};
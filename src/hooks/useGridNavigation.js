@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Rows moved by Page Up / Page Down
+const PAGE_ROWS = 10;
+
+// Keyboard navigation for a role="grid" table, after the ARIA grid pattern:
+// only the active cell is in the tab order, and the arrow keys, Home/End
+// (with Ctrl for the first/last row) and Page Up/Down move it. Escape from a
+// control inside a cell returns to the cell. Cells are found by their
+// data-row and data-col attributes, so a row windowed out by useVirtualRows
+// is scrolled into view first and focused once it renders.
+function useGridNavigation(container, rowCount, colCount, rowHeight) {
+  const [active, setActive] = useState({ row: 0, col: 0 });
+  // Cell waiting for focus, with the renders left to find it
+  const pendingFocus = useRef(null);
+  const row = Math.max(0, Math.min(active.row, rowCount - 1));
+  const col = Math.max(0, Math.min(active.col, colCount - 1));
+
+  useEffect(() => {
+    const pending = pendingFocus.current;
+    if (!pending || !container) return;
+    const cell = container.querySelector(
+      `[data-row="${pending.row}"][data-col="${pending.col}"]`
+    );
+    if (cell) {
+      pendingFocus.current = null;
+      cell.focus();
+      if (cell.scrollIntoView) cell.scrollIntoView({ block: 'nearest' });
+    } else if (pending.attempts > 0) {
+      // The scroll event renders the row and runs this effect again
+      pending.attempts -= 1;
+      container.scrollTop = pending.row * rowHeight;
+    } else {
+      pendingFocus.current = null;
+    }
+  });
+
+  // Make a cell active and move focus to it
+  const focusCell = useCallback((nextRow, nextCol) => {
+    pendingFocus.current = { row: nextRow, col: nextCol, attempts: 2 };
+    setActive({ row: nextRow, col: nextCol });
+  }, []);
+
+  // Follow focus that arrives by mouse or Tab
+  const onCellFocus = useCallback((nextRow, nextCol) => {
+    setActive((current) =>
+      current.row === nextRow && current.col === nextCol
+        ? current
+        : { row: nextRow, col: nextCol }
+    );
+  }, []);
+
+  const onKeyDown = (e) => {
+    const cell = e.target.closest('[role="gridcell"]');
+    if (!cell || e.altKey || e.metaKey) return;
+    if (cell !== e.target) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cell.focus();
+      }
+      return;
+    }
+
+    const lastRow = rowCount - 1;
+    const lastCol = colCount - 1;
+    const moves = {
+      ArrowUp: [row - 1, col],
+      ArrowDown: [row + 1, col],
+      ArrowLeft: [row, col - 1],
+      ArrowRight: [row, col + 1],
+      PageUp: [row - PAGE_ROWS, col],
+      PageDown: [row + PAGE_ROWS, col],
+      Home: e.ctrlKey ? [0, 0] : [row, 0],
+      End: e.ctrlKey ? [lastRow, lastCol] : [row, lastCol],
+    };
+    const target = moves[e.key];
+    if (!target) return;
+    e.preventDefault();
+    focusCell(
+      Math.max(0, Math.min(target[0], lastRow)),
+      Math.max(0, Math.min(target[1], lastCol))
+    );
+  };
+
+  return {
+    activeRow: row,
+    activeCol: col,
+    focusCell,
+    onCellFocus,
+    onKeyDown,
+  };
+}
+
+export default useGridNavigation;
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const HIGH_CONTRAST_KEY = 'candidate-dashboard:high-contrast';
+
+const prefersMoreContrast = () =>
+  typeof window.matchMedia === 'function' &&
+  window.matchMedia('(prefers-contrast: more)').matches;
+
+// High-contrast theme, saved in this browser. Until it is toggled it follows
+// the system's "increase contrast" setting. The theme is the `high-contrast`
+// class on <html>; see src/theme.css.
+function useHighContrast() {
+  const [highContrast, setHighContrast] = useState(() =>
+    loadJSON(HIGH_CONTRAST_KEY, prefersMoreContrast())
+  );
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('high-contrast', highContrast);
+  }, [highContrast]);
+
+  const toggleHighContrast = () => {
+    saveJSON(HIGH_CONTRAST_KEY, !highContrast);
+    setHighContrast(!highContrast);
+  };
+
+  return { highContrast, toggleHighContrast };
+}
+
+export default useHighContrast;
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+// Fields that keep their own keys
+const TYPING_SELECTOR = 'input, textarea, select, [contenteditable="true"]';
+
+// Single-key shortcuts for the page, e.g. { '/': focusSearch }. Keys are
+// left alone while typing in a field, with Ctrl, Alt or Meta held (browser
+// and screen reader commands) and while a modal dialog is open.
+function useKeyboardShortcuts(shortcuts) {
+  const shortcutsRef = useRef(shortcuts);
+  shortcutsRef.current = shortcuts;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+      if (e.target.closest && e.target.closest(TYPING_SELECTOR)) return;
+      if (document.querySelector('[aria-modal="true"]')) return;
+      const handler = shortcutsRef.current[e.key];
+      if (!handler) return;
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import * as api from '../api';
+import { getCellKey } from './useStatusUpdates';
+
+// REACT_APP_POLL_INTERVAL=0 turns polling off
+export const POLL_INTERVAL =
+  process.env.REACT_APP_POLL_INTERVAL !== undefined
+    ? Number(process.env.REACT_APP_POLL_INTERVAL)
+    : 30000;
+
+// Shallow equality of two candidate records
+const isSameCandidate = (a, b) => {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => a[key] === b[key])
+  );
+};
+
+// Replace local rows with the fetched ones, except cells with a write in
+// flight or queued offline, which keep their local value. Unchanged rows keep
+// their object, and an unchanged list is returned as `current`, so memoised
+// rows and stats only update for what the sheet actually changed.
+export const mergeIncoming = (current, incoming, protectedCells) => {
+  const local = new Map(
+    current.map((candidate) => [String(candidate.id), candidate])
+  );
+  const merged = incoming.map((candidate) => {
+    const existing = local.get(String(candidate.id));
+    if (!existing) return candidate;
+    const next = { ...existing, ...candidate };
+    Object.keys(existing).forEach((field) => {
+      if (protectedCells.has(getCellKey(candidate.id, field))) {
+        next[field] = existing[field];
+      }
+    });
+    return isSameCandidate(existing, next) ? existing : next;
+  });
+  const unchanged =
+    merged.length === current.length &&
+    merged.every((candidate, index) => candidate === current[index]);
+  return unchanged ? current : merged;
+};
+
+// Keeps candidates in sync with the sheet after the first load. Uses the
+// data source's push channel when it has one and polls otherwise; polling
+// pauses while the tab is hidden. Rows that were not in the local list are
+// collected in `newIds` until markSeen() is called. onSynced receives the
+// fetched rows after every successful refresh.
+function useLiveCandidates({
+  enabled,
+  candidates,
+  setCandidates,
+  pendingCells,
+  queuedCells,
+  onSynced,
+  interval = POLL_INTERVAL,
+}) {
+  const [newIds, setNewIds] = useState(() => new Set());
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  // Every cell that was pending at any point while a fetch was in flight,
+  // so a write that finishes mid-fetch isn't overwritten by stale data
+  const touchedCells = useRef(null);
+  const pendingRef = useRef(pendingCells);
+  const queuedRef = useRef(queuedCells);
+  queuedRef.current = queuedCells;
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+  const candidatesRef = useRef(candidates);
+  candidatesRef.current = candidates;
+
+  useEffect(() => {
+    pendingRef.current = pendingCells;
+    if (touchedCells.current) {
+      pendingCells.forEach((key) => touchedCells.current.add(key));
+    }
+  }, [pendingCells]);
+
+  const refresh = useCallback(async () => {
+    if (touchedCells.current) return;
+    touchedCells.current = new Set(pendingRef.current);
+    try {
+      const incoming = await api.fetchCandidates();
+      const protectedCells = new Set([
+        ...touchedCells.current,
+        ...pendingRef.current,
+        ...queuedRef.current,
+      ]);
+      const known = new Set(
+        candidatesRef.current.map((candidate) => String(candidate.id))
+      );
+      const arrived = incoming
+        .map((candidate) => String(candidate.id))
+        .filter((id) => !known.has(id));
+      if (arrived.length > 0) {
+        setNewIds((ids) => new Set([...ids, ...arrived]));
+      }
+      setCandidates((current) =>
+        mergeIncoming(current, incoming, protectedCells)
+      );
+      setLastSyncedAt(new Date());
+      setSyncError(null);
+      if (onSyncedRef.current) onSyncedRef.current(incoming);
+    } catch (err) {
+      setSyncError(err.message);
+    } finally {
+      touchedCells.current = null;
+    }
+  }, [setCandidates]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const unsubscribe = api.subscribeToCandidates(refresh);
+    if (unsubscribe) return unsubscribe;
+    if (!interval) return undefined;
+
+    const poll = () => {
+      if (!document.hidden) refresh();
+    };
+    const timer = setInterval(poll, interval);
+    document.addEventListener('visibilitychange', poll);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', poll);
+    };
+  }, [enabled, interval, refresh]);
+
+  const markSeen = useCallback(() => setNewIds(new Set()), []);
+
+  return { newIds, lastSyncedAt, syncError, refresh, markSeen };
+}
+
+export default useLiveCandidates;
@@ -0,0 +1,34 @@
+import fixtures from '../api/fixtures/candidates.json';
+import { mergeIncoming } from './useLiveCandidates';
+import { getCellKey } from './useStatusUpdates';
+
+const copy = (candidates) => candidates.map((candidate) => ({ ...candidate }));
+
+describe('mergeIncoming', () => {
+  it('keeps the current list when the sheet has not changed', () => {
+    const current = copy(fixtures);
+    expect(mergeIncoming(current, copy(fixtures), new Set())).toBe(current);
+  });
+
+  it('only replaces the rows that changed', () => {
+    const current = copy(fixtures);
+    const incoming = copy(fixtures);
+    incoming[1].phoneEnquiry = 'done';
+
+    const merged = mergeIncoming(current, incoming, new Set());
+    expect(merged).not.toBe(current);
+    expect(merged[0]).toBe(current[0]);
+    expect(merged[1]).not.toBe(current[1]);
+    expect(merged[1].phoneEnquiry).toBe('done');
+  });
+
+  it('keeps the local value of a cell with a write in flight', () => {
+    const current = copy(fixtures);
+    current[1].phoneEnquiry = 'done';
+    const protectedCells = new Set([getCellKey(current[1].id, 'phoneEnquiry')]);
+
+    expect(mergeIncoming(current, copy(fixtures), protectedCells)).toBe(
+      current
+    );
+  });
+});
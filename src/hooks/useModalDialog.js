@@ -0,0 +1,48 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Keyboard handling for modal dialogs. Focus moves to `initialFocusRef` on
+// open and back to where it was on close. Spread the returned props on the
+// dialog element: Tab cycles through its controls, and Escape calls onClose
+// without reaching a dialog or the page behind it.
+function useModalDialog(initialFocusRef, onClose) {
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    initialFocusRef.current.focus();
+    return () => {
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+  }, [initialFocusRef]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = e.currentTarget.querySelectorAll(FOCUSABLE_SELECTOR);
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return { onKeyDown };
+}
+
+export default useModalDialog;
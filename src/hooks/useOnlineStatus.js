@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+// Tracks navigator.onLine; onReconnect runs each time the browser comes back
+function useOnlineStatus(onReconnect) {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      if (onReconnect) onReconnect();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [onReconnect]);
+
+  return isOnline;
+}
+
+export default useOnlineStatus;
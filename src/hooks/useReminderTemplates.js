@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+
+import { loadJSON, saveJSON } from '../utils/storage';
+import { DEFAULT_REMINDER_TEMPLATE } from '../utils/reminders';
+
+const REMINDER_TEMPLATES_KEY = 'candidate-dashboard:reminder-templates';
+
+// Editable { subject, body } per reminder offset, saved in this browser
+function useReminderTemplates() {
+  const [templates, setTemplates] = useState(() =>
+    loadJSON(REMINDER_TEMPLATES_KEY, {})
+  );
+
+  useEffect(() => {
+    saveJSON(REMINDER_TEMPLATES_KEY, templates);
+  }, [templates]);
+
+  const getTemplate = (days) => templates[days] || DEFAULT_REMINDER_TEMPLATE;
+
+  const setTemplate = (days, template) =>
+    setTemplates((current) => ({ ...current, [days]: template }));
+
+  const resetTemplate = (days) =>
+    setTemplates((current) => {
+      const next = { ...current };
+      delete next[days];
+      return next;
+    });
+
+  return { getTemplate, setTemplate, resetTemplate };
+}
+
+export default useReminderTemplates;
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const SAVED_VIEWS_KEY = 'candidate-dashboard:saved-views';
+
+// Named views ({ id, name, query }) saved in this browser. `query` is the
+// URL query string the view restores.
+function useSavedViews() {
+  const [views, setViews] = useState(() => loadJSON(SAVED_VIEWS_KEY, []));
+
+  useEffect(() => {
+    saveJSON(SAVED_VIEWS_KEY, views);
+  }, [views]);
+
+  // Saving under an existing name replaces that view
+  const saveView = (name, query) =>
+    setViews((current) => [
+      ...current.filter((view) => view.name !== name),
+      { id: String(Date.now()), name, query },
+    ]);
+
+  const deleteView = (id) =>
+    setViews((current) => current.filter((view) => view.id !== id));
+
+  return { views, saveView, deleteView };
+}
+
+export default useSavedViews;
@@ -0,0 +1,33 @@
+import { useCallback, useState } from 'react';
+
+import * as api from '../api';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const SESSION_KEY = 'candidate-dashboard:session';
+
+// The signed-in user, kept across reloads. The API module is told about
+// every change so requests always carry the current identity.
+function useSession() {
+  const [session, setSessionState] = useState(() => {
+    const saved = loadJSON(SESSION_KEY, null);
+    api.setSession(saved);
+    return saved;
+  });
+
+  const updateSession = useCallback((next) => {
+    api.setSession(next);
+    saveJSON(SESSION_KEY, next);
+    setSessionState(next);
+  }, []);
+
+  const signIn = useCallback(
+    async (credentials) => updateSession(await api.login(credentials)),
+    [updateSession]
+  );
+
+  const signOut = useCallback(() => updateSession(null), [updateSession]);
+
+  return { user: session && session.user, signIn, signOut };
+}
+
+export default useSession;
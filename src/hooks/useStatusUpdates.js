@@ -0,0 +1,314 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+import * as api from '../api';
+import { replaceCandidate } from '../utils/candidates';
+import { withRetry } from '../utils/retry';
+import { loadJSON, saveJSON } from '../utils/storage';
+import { STATUS_SCHEMA, getStatusState } from '../config/statusSchema';
+
+// One queue per user, so nobody replays another user's changes
+const getFailedWritesKey = (userId) =>
+  `candidate-dashboard:failed-writes:${userId}`;
+
+export const getCellKey = (id, field) => `${id}:${field}`;
+
+// No response at all, as opposed to the backend rejecting the write
+const isOfflineError = (err) => !navigator.onLine || !err.status;
+
+const isSameState = (field, a, b) =>
+  getStatusState(field, a).value === getStatusState(field, b).value;
+
+// Optimistic status writes: the cell changes immediately, the request is
+// retried with backoff, and on final failure the cell is rolled back and the
+// write is parked in a queue persisted to localStorage for `userId`. onSaved
+// receives every change the backend accepted, e.g. to record it in the
+// activity log.
+//
+// Writes made without a connection keep their new value and are queued with
+// `offline: true`. syncQueuedWrites() replays them against fresh server data;
+// where the sheet changed the cell in the meantime the write gets a
+// `conflict` and waits for resolveConflict().
+function useStatusUpdates({ userId, setCandidates, onError, onSaved }) {
+  const [pendingCells, setPendingCells] = useState(() => new Set());
+  const [failedWrites, setFailedWrites] = useState(() =>
+    loadJSON(getFailedWritesKey(userId), [])
+  );
+  // Tracked synchronously so rapid clicks on one cell are ignored
+  const inFlight = useRef(new Set());
+
+  useEffect(() => {
+    saveJSON(getFailedWritesKey(userId), failedWrites);
+  }, [userId, failedWrites]);
+
+  const setCellPending = (key, isPending) => {
+    setPendingCells((current) => {
+      const next = new Set(current);
+      if (isPending) next.add(key);
+      else next.delete(key);
+      return next;
+    });
+  };
+
+  const queueWrite = (write) => {
+    const key = getCellKey(write.id, write.field);
+    setFailedWrites((current) => [
+      ...current.filter(
+        (queued) => getCellKey(queued.id, queued.field) !== key
+      ),
+      { ...write, failedAt: new Date().toISOString() },
+    ]);
+  };
+
+  const writeStatus = useCallback(
+    async ({ id, field, value, previousValue, fullName }) => {
+      const key = getCellKey(id, field);
+      if (inFlight.current.has(key)) return false;
+
+      setCandidates((current) =>
+        replaceCandidate(current, id, (candidate) => ({
+          ...candidate,
+          [field]: value,
+        }))
+      );
+
+      if (!navigator.onLine) {
+        queueWrite({
+          id,
+          field,
+          value,
+          previousValue,
+          fullName,
+          offline: true,
+        });
+        return false;
+      }
+
+      inFlight.current.add(key);
+      setCellPending(key, true);
+      try {
+        await withRetry(() => api.updateCandidate({ id, field, value }));
+        onSaved([{ id, field, value, previousValue }]);
+        setFailedWrites((current) =>
+          current.filter((write) => getCellKey(write.id, write.field) !== key)
+        );
+        return true;
+      } catch (err) {
+        if (isOfflineError(err)) {
+          // Keep the new value on screen; it is sent once we're back online
+          queueWrite({
+            id,
+            field,
+            value,
+            previousValue,
+            fullName,
+            offline: true,
+            error: err.message,
+          });
+          return false;
+        }
+
+        // Only roll back if nothing else has changed the cell meanwhile
+        setCandidates((current) =>
+          replaceCandidate(current, id, (candidate) =>
+            candidate[field] === value
+              ? { ...candidate, [field]: previousValue }
+              : candidate
+          )
+        );
+        queueWrite({
+          id,
+          field,
+          value,
+          previousValue,
+          fullName,
+          error: err.message,
+        });
+        onError(
+          `Couldn't save ${STATUS_SCHEMA[field].label} for ${
+            fullName || `candidate ${id}`
+          }. The change was undone and queued for retry.`
+        );
+        return false;
+      } finally {
+        inFlight.current.delete(key);
+        setCellPending(key, false);
+      }
+    },
+    [setCandidates, onError, onSaved]
+  );
+
+  // Sets one field on many candidates with a single request. Rows the
+  // backend rejects are rolled back and returned in `failed`.
+  const writeBulkStatus = useCallback(
+    async (targets, field, value) => {
+      const keys = targets.map((candidate) => getCellKey(candidate.id, field));
+      const previous = new Map(
+        targets.map((candidate) => [String(candidate.id), candidate[field]])
+      );
+      keys.forEach((key) => setCellPending(key, true));
+
+      const rollback = (ids) => {
+        const rolledBack = new Set(ids.map(String));
+        setCandidates((current) =>
+          current.map((candidate) =>
+            rolledBack.has(String(candidate.id)) && candidate[field] === value
+              ? { ...candidate, [field]: previous.get(String(candidate.id)) }
+              : candidate
+          )
+        );
+      };
+
+      setCandidates((current) =>
+        current.map((candidate) =>
+          previous.has(String(candidate.id))
+            ? { ...candidate, [field]: value }
+            : candidate
+        )
+      );
+
+      try {
+        const result = await withRetry(() =>
+          api.bulkUpdateCandidates({
+            ids: targets.map((candidate) => candidate.id),
+            field,
+            value,
+          })
+        );
+        const failed = (result && result.failed) || [];
+        const failedIds = new Set(failed.map((failure) => String(failure.id)));
+        rollback(failed.map((failure) => failure.id));
+        onSaved(
+          targets
+            .filter((candidate) => !failedIds.has(String(candidate.id)))
+            .map((candidate) => ({
+              id: candidate.id,
+              field,
+              value,
+              previousValue: previous.get(String(candidate.id)),
+            }))
+        );
+        return {
+          updated: targets.length - failed.length,
+          failed,
+        };
+      } catch (err) {
+        rollback(targets.map((candidate) => candidate.id));
+        return {
+          updated: 0,
+          failed: targets.map((candidate) => ({
+            id: candidate.id,
+            error: err.message,
+          })),
+        };
+      } finally {
+        keys.forEach((key) => setCellPending(key, false));
+      }
+    },
+    [setCandidates, onSaved]
+  );
+
+  const retryFailedWrites = useCallback(
+    () =>
+      Promise.all(
+        failedWrites
+          .filter((write) => !write.offline)
+          .map((write) => writeStatus(write))
+      ),
+    [failedWrites, writeStatus]
+  );
+
+  // Replays offline writes whose cell the sheet hasn't touched since; the
+  // rest are marked as conflicts with the value the sheet has now
+  const syncQueuedWrites = useCallback(
+    (serverCandidates) => {
+      const server = new Map(
+        serverCandidates.map((candidate) => [String(candidate.id), candidate])
+      );
+      const toSend = [];
+      const conflicts = new Map();
+      failedWrites
+        .filter((write) => write.offline && !write.conflict)
+        .forEach((write) => {
+          const row = server.get(String(write.id));
+          const serverValue = row ? row[write.field] : null;
+          if (
+            row &&
+            (isSameState(write.field, serverValue, write.previousValue) ||
+              isSameState(write.field, serverValue, write.value))
+          ) {
+            toSend.push(write);
+          } else {
+            conflicts.set(getCellKey(write.id, write.field), {
+              serverValue,
+              deleted: !row,
+            });
+          }
+        });
+      if (conflicts.size > 0) {
+        setFailedWrites((current) =>
+          current.map((write) => {
+            const conflict = conflicts.get(getCellKey(write.id, write.field));
+            return conflict ? { ...write, conflict } : write;
+          })
+        );
+      }
+      return Promise.all(toSend.map((write) => writeStatus(write)));
+    },
+    [failedWrites, writeStatus]
+  );
+
+  // keep 'mine' overwrites the sheet; 'sheet' drops the offline change
+  const resolveConflict = useCallback(
+    (write, keep) => {
+      const key = getCellKey(write.id, write.field);
+      const { serverValue, deleted } = write.conflict;
+      setFailedWrites((current) =>
+        current.filter((queued) => getCellKey(queued.id, queued.field) !== key)
+      );
+      if (deleted) return;
+      if (keep === 'mine') {
+        writeStatus({ ...write, previousValue: serverValue });
+      } else {
+        setCandidates((current) =>
+          replaceCandidate(current, write.id, (candidate) => ({
+            ...candidate,
+            [write.field]: serverValue,
+          }))
+        );
+      }
+    },
+    [setCandidates, writeStatus]
+  );
+
+  // Cells holding an offline value that the sheet doesn't have yet
+  const queuedCells = useMemo(
+    () =>
+      new Set(
+        failedWrites
+          .filter((write) => write.offline)
+          .map((write) => getCellKey(write.id, write.field))
+      ),
+    [failedWrites]
+  );
+
+  // Offline writes aren't discarded: their new value is still on screen
+  const discardFailedWrites = useCallback(
+    () =>
+      setFailedWrites((current) => current.filter((write) => write.offline)),
+    []
+  );
+
+  return {
+    pendingCells,
+    queuedCells,
+    failedWrites,
+    writeStatus,
+    writeBulkStatus,
+    retryFailedWrites,
+    discardFailedWrites,
+    syncQueuedWrites,
+    resolveConflict,
+  };
+}
+
+export default useStatusUpdates;
@@ -0,0 +1,28 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Queue of dismissible notifications rendered by <Toasts />
+function useToasts() {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismissToast = useCallback((id) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  const showToast = useCallback(
+    (message, { type = 'error', duration = 6000 } = {}) => {
+      nextId.current += 1;
+      const id = nextId.current;
+      setToasts((current) => [...current, { id, message, type }]);
+      if (duration) {
+        setTimeout(() => dismissToast(id), duration);
+      }
+      return id;
+    },
+    [dismissToast]
+  );
+
+  return { toasts, showToast, dismissToast };
+}
+
+export default useToasts;
@@ -0,0 +1,60 @@
+import { useCallback, useLayoutEffect, useState } from 'react';
+
+// Windowing for long tables: only rows inside the scroll container's
+// viewport (plus `overscan` either side) are rendered, and the rest is
+// replaced by spacer rows of the same height. Lists of up to `minRows` rows
+// render in full. Attach `measureRow` to a rendered row so the spacers
+// follow the real row height. `rowHeight` is the measured height, for
+// scrolling a row into view. `container` is the scroll container element;
+// keep it in state (a callback ref) so the listeners follow it when the table
+// mounts later or remounts.
+function useVirtualRows(
+  container,
+  count,
+  { estimatedRowHeight = 73, overscan = 10, minRows = 100 } = {}
+) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+  const enabled = count > minRows;
+
+  useLayoutEffect(() => {
+    if (!enabled || !container) return undefined;
+
+    const update = () => {
+      setScrollTop(container.scrollTop);
+      setViewportHeight(container.clientHeight || window.innerHeight);
+    };
+    update();
+    container.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      container.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [container, enabled]);
+
+  const measureRow = useCallback((node) => {
+    if (node && node.offsetHeight) setRowHeight(node.offsetHeight);
+  }, []);
+
+  if (!enabled) {
+    return { start: 0, end: count, paddingTop: 0, paddingBottom: 0, rowHeight };
+  }
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(
+    count,
+    Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan
+  );
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (count - end) * rowHeight,
+    rowHeight,
+    measureRow,
+  };
+}
+
+export default useVirtualRows;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+import { loadJSON, saveJSON } from '../utils/storage';
+import { DEFAULT_WHATSAPP_TEMPLATE } from '../utils/templates';
+
+const WHATSAPP_TEMPLATE_KEY = 'candidate-dashboard:whatsapp-template';
+
+// Editable WhatsApp message template, saved in this browser
+function useWhatsAppTemplate() {
+  const [template, setTemplate] = useState(() =>
+    loadJSON(WHATSAPP_TEMPLATE_KEY, DEFAULT_WHATSAPP_TEMPLATE)
+  );
+
+  useEffect(() => {
+    saveJSON(WHATSAPP_TEMPLATE_KEY, template);
+  }, [template]);
+
+  const resetTemplate = () => setTemplate(DEFAULT_WHATSAPP_TEMPLATE);
+
+  return { template, setTemplate, resetTemplate };
+}
+
+export default useWhatsAppTemplate;
@@ -1,7 +1,9 @@
 import React, { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 
+import './theme.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const rootElement = document.getElementById('root');
 const root = createRoot(rootElement);
@@ -11,3 +13,6 @@ root.render(
     <App />
   </StrictMode>
 );
+
+// Installable and usable offline; see src/service-worker.js
+serviceWorkerRegistration.register();
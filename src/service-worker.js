@@ -0,0 +1,47 @@
+/* eslint-disable no-restricted-globals */
+// Built by react-scripts into service-worker.js in production builds.
+// Precaches the app shell so the dashboard opens without a connection;
+// candidate data is cached separately in IndexedDB by the app itself.
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations, except for URLs that look like files
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Tailwind is loaded from its CDN by public/index.html, outside the build, so
+// it isn't in the precache manifest. It is cached on install, served from the
+// cache so the app is styled offline, and refreshed in the background.
+const TAILWIND_URL = 'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4';
+const TAILWIND_CACHE = 'tailwind-cdn';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(TAILWIND_CACHE)
+      .then((cache) => cache.add(TAILWIND_URL))
+      // Offline installs pick it up on the next online page load
+      .catch(() => {})
+  );
+});
+
+registerRoute(
+  ({ url }) => url.href === TAILWIND_URL,
+  new StaleWhileRevalidate({ cacheName: TAILWIND_CACHE })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,23 @@
+// Registers the service worker from src/service-worker.js. Only production
+// builds have one; in development it would cache stale bundles.
+export function register() {
+  if (
+    process.env.NODE_ENV !== 'production' ||
+    !('serviceWorker' in navigator)
+  ) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(() => {});
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch(() => {});
+  }
+}
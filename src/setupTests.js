@@ -0,0 +1,6 @@
+// Extra matchers such as toBeInTheDocument() and toHaveNoViolations() for
+// every test
+import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,127 @@
+import { createHttpDataSource, setDataSource } from '../api';
+import fixtureBatches from '../api/fixtures/batches.json';
+import fixtureCandidates from '../api/fixtures/candidates.json';
+import fixtureUsers from '../api/fixtures/users.json';
+
+export const MOCK_API_URL = 'http://mock-api.test';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const reply = (status, data) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => (data === undefined ? '' : JSON.stringify(data)),
+});
+
+// Stand-in for the Express proxy behind a mocked fetch(), so tests run the
+// real HTTP data source. It serves fixture candidates and batches on
+//   GET  /api/candidates
+//   GET  /api/batches
+//   POST /api/update-candidate
+//   POST /api/send-reminders
+//   GET  /api/reminder-log
+//   GET  /api/candidate-activity
+// and answers anything else with a 404. Every request is recorded in
+// `state.requests`; fail(route, status) makes a route fail until restore().
+export function createMockApi({
+  candidates = fixtureCandidates,
+  batches = fixtureBatches,
+  reminders = [],
+  activity = [],
+} = {}) {
+  const state = {
+    candidates: clone(candidates),
+    batches: clone(batches),
+    reminders: clone(reminders),
+    activity: clone(activity),
+    requests: [],
+  };
+  const failures = {};
+
+  const routes = {
+    'GET /api/candidates': () => state.candidates,
+
+    'GET /api/batches': () => state.batches,
+
+    'POST /api/update-candidate': ({ id, field, value }) => {
+      const candidate = state.candidates.find(
+        (c) => String(c.id) === String(id)
+      );
+      if (!candidate) throw httpError(404, `Candidate ${id} not found`);
+      candidate[field] = value;
+      return { success: true, candidate };
+    },
+
+    'POST /api/send-reminders': ({ days, batch, subject, body, author }) => {
+      const count = state.candidates.filter((c) => c.batch === batch).length;
+      state.reminders.push({
+        id: state.reminders.length + 1,
+        days,
+        batch,
+        subject,
+        body,
+        author,
+        count,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+      });
+      return { success: true, count };
+    },
+
+    'GET /api/reminder-log': ({ batch }) =>
+      state.reminders.filter((r) => !batch || r.batch === batch),
+
+    'GET /api/candidate-activity': ({ id }) =>
+      state.activity.filter((entry) => String(entry.candidateId) === id),
+  };
+
+  const fetch = async (url, { method = 'GET', body } = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const route = `${method} ${pathname}`;
+    const params = body ? JSON.parse(body) : Object.fromEntries(searchParams);
+    state.requests.push({ route, body: params });
+
+    if (failures[route]) {
+      return reply(failures[route], { error: 'Mock failure' });
+    }
+    const handler = routes[route];
+    if (!handler) return reply(404, { error: `No mock route for ${route}` });
+    try {
+      return reply(200, handler(params));
+    } catch (err) {
+      return reply(err.status || 500, { error: err.message });
+    }
+  };
+
+  return {
+    state,
+    fetch,
+    fail: (route, status = 500) => {
+      failures[route] = status;
+    },
+    restore: () => {
+      Object.keys(failures).forEach((route) => delete failures[route]);
+    },
+  };
+}
+
+// Routes the dashboard's API module to a fresh mock; returns the mock
+export const startMockApi = (options) => {
+  const api = createMockApi(options);
+  window.fetch = api.fetch;
+  setDataSource(createHttpDataSource(MOCK_API_URL));
+  return api;
+};
+
+// Stores a session for the fixture user with `role`, as signing in would
+export const signInAs = (role) => {
+  const { password, ...user } = fixtureUsers.find((u) => u.role === role);
+  window.localStorage.setItem(
+    'candidate-dashboard:session',
+    JSON.stringify({ user, token: `local-token-${user.id}` })
+  );
+  return user;
+};
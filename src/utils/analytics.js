@@ -0,0 +1,210 @@
+import { getStatusState, isStatusComplete } from '../config/statusSchema';
+import { addDays, isInDateRange, startOfDay } from './dateRange';
+
+// Program state counted as ghosting: confirmed, then never turned up
+const GHOSTED_STATE = 'ghosted';
+
+// Outreach funnel, in the order candidates move through it
+export const FUNNEL_STAGES = [
+  { key: 'applied', label: 'Applied' },
+  { key: 'whatsappMsg', label: 'WhatsApp sent' },
+  { key: 'phoneEnquiry', label: 'Phone enquiry done' },
+  { key: 'online', label: 'Online attended' },
+  { key: 'program', label: 'Program attended' },
+];
+
+const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+// Index of the furthest stage a candidate has reached. Later stages imply
+// the earlier ones, so someone who attended the program counts as contacted
+// even if the WhatsApp column was never ticked.
+const getFurthestStage = (candidate) => {
+  for (let index = FUNNEL_STAGES.length - 1; index > 0; index -= 1) {
+    const { key } = FUNNEL_STAGES[index];
+    if (isStatusComplete(key, candidate[key])) return index;
+  }
+  return 0;
+};
+
+// Count per stage, with conversion from the first and the previous stage
+export const getFunnel = (candidates) => {
+  const counts = FUNNEL_STAGES.map(() => 0);
+  candidates.forEach((candidate) => {
+    for (let index = getFurthestStage(candidate); index >= 0; index -= 1) {
+      counts[index] += 1;
+    }
+  });
+  return FUNNEL_STAGES.map((stage, index) => ({
+    ...stage,
+    count: counts[index],
+    fromStart: percent(counts[index], counts[0]),
+    fromPrevious: index === 0 ? 100 : percent(counts[index], counts[index - 1]),
+  }));
+};
+
+// One funnel per batch, ordered by batch name
+export const getBatchFunnels = (candidates) => {
+  const byBatch = {};
+  candidates.forEach((candidate) => {
+    if (!candidate.batch) return;
+    (byBatch[candidate.batch] = byBatch[candidate.batch] || []).push(candidate);
+  });
+  return Object.keys(byBatch)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((batch) => ({
+      batch,
+      total: byBatch[batch].length,
+      stages: getFunnel(byBatch[batch]),
+    }));
+};
+
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  // Weeks start on Monday
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const startOfPeriod = (date, granularity) => {
+  if (granularity === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  if (granularity === 'week') return startOfWeek(date);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const nextPeriod = (date, granularity) => {
+  if (granularity === 'month') {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  }
+  const next = new Date(date);
+  next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+  return next;
+};
+
+const formatPeriod = (date, granularity) =>
+  date.toLocaleDateString(
+    'en-GB',
+    granularity === 'month'
+      ? { month: 'short', year: 'numeric' }
+      : { day: '2-digit', month: 'short' }
+  );
+
+// Applications per day, week or month, including empty periods in between
+export const getApplicationsOverTime = (candidates, granularity = 'week') => {
+  const counts = new Map();
+  candidates.forEach((candidate) => {
+    const date = new Date(candidate.dateOfApplication);
+    if (Number.isNaN(date.getTime())) return;
+    const key = startOfPeriod(date, granularity).getTime();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  if (counts.size === 0) return [];
+
+  const keys = [...counts.keys()];
+  const last = Math.max(...keys);
+  const periods = [];
+  for (
+    let period = new Date(Math.min(...keys));
+    period.getTime() <= last;
+    period = nextPeriod(period, granularity)
+  ) {
+    periods.push({
+      start: period.toISOString(),
+      label: formatPeriod(period, granularity),
+      count: counts.get(period.getTime()) || 0,
+    });
+  }
+  return periods;
+};
+
+// Candidates per graduation year, oldest year first
+export const getYearDistribution = (candidates) => {
+  const counts = {};
+  candidates.forEach((candidate) => {
+    if (candidate.yearOfCompletion) {
+      counts[candidate.yearOfCompletion] =
+        (counts[candidate.yearOfCompletion] || 0) + 1;
+    }
+  });
+  return Object.entries(counts)
+    .sort((a, b) =>
+      String(a[0]).localeCompare(String(b[0]), undefined, {
+        numeric: true,
+      })
+    )
+    .map(([year, count]) => ({ year, count }));
+};
+
+// Applicants and program outcomes per value of `field` (college, stream),
+// most applicants first. Rates are shares of final program outcomes and
+// null while a group has none. Blank values are left out.
+export const getGroupBreakdown = (candidates, field) => {
+  const groups = new Map();
+  candidates.forEach((candidate) => {
+    const value = String(candidate[field] || '').trim();
+    if (!value) return;
+    const group = groups.get(value) || {
+      value,
+      applicants: 0,
+      outcomes: 0,
+      attended: 0,
+      ghosted: 0,
+    };
+    const state = getStatusState('program', candidate.program);
+    group.applicants += 1;
+    if (state.final) group.outcomes += 1;
+    if (state.complete) group.attended += 1;
+    if (state.value === GHOSTED_STATE) group.ghosted += 1;
+    groups.set(value, group);
+  });
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      attendanceRate: group.outcomes
+        ? percent(group.attended, group.outcomes)
+        : null,
+      ghostingRate: group.outcomes
+        ? percent(group.ghosted, group.outcomes)
+        : null,
+    }))
+    .sort(
+      (a, b) => b.applicants - a.applicants || a.value.localeCompare(b.value)
+    );
+};
+
+// Groups with at least one ghosted candidate, highest ghosting rate first
+export const getHighestGhosting = (breakdown, limit = 5) =>
+  breakdown
+    .filter((group) => group.ghosted > 0)
+    .sort((a, b) => b.ghostingRate - a.ghostingRate || b.ghosted - a.ghosted)
+    .slice(0, limit);
+
+// Applicants of the 7 days up to `now` against the 7 days before: how many
+// applied and how many of them have had WhatsApp and phone outreach so far
+export const getWeekOverWeek = (candidates, now = new Date()) => {
+  const end = addDays(startOfDay(now), 1);
+  const summarize = (from, to) => {
+    const cohort = candidates.filter((candidate) =>
+      isInDateRange(candidate, { from, to })
+    );
+    const completion = (field) =>
+      percent(
+        cohort.filter((candidate) => isStatusComplete(field, candidate[field]))
+          .length,
+        cohort.length
+      );
+    return {
+      from,
+      to,
+      applications: cohort.length,
+      whatsappRate: completion('whatsappMsg'),
+      phoneRate: completion('phoneEnquiry'),
+    };
+  };
+  return {
+    current: summarize(addDays(end, -7), end),
+    previous: summarize(addDays(end, -14), addDays(end, -7)),
+  };
+};
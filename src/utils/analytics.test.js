@@ -0,0 +1,44 @@
+import { getWeekOverWeek } from './analytics';
+
+const NOW = new Date(2025, 2, 12, 15, 30);
+
+const applied = (day, overrides = {}) => ({
+  dateOfApplication: new Date(2025, 2, day, 10).toISOString(),
+  whatsappMsg: 'pending',
+  phoneEnquiry: 'not done',
+  ...overrides,
+});
+
+describe('getWeekOverWeek', () => {
+  it('compares the last 7 days with the 7 days before', () => {
+    const { current, previous } = getWeekOverWeek(
+      [
+        applied(12, { whatsappMsg: 'sent', phoneEnquiry: 'done' }),
+        applied(6, { whatsappMsg: 'sent' }),
+        applied(6),
+        applied(5, { whatsappMsg: 'sent', phoneEnquiry: 'done' }),
+        applied(1),
+        // Outside both weeks
+        applied(13),
+        applied(-10),
+      ],
+      NOW
+    );
+
+    expect(current.applications).toBe(3);
+    expect(current.whatsappRate).toBeCloseTo((2 / 3) * 100);
+    expect(current.phoneRate).toBeCloseTo((1 / 3) * 100);
+    expect(previous.applications).toBe(2);
+    expect(previous.whatsappRate).toBe(50);
+    expect(previous.phoneRate).toBe(50);
+  });
+
+  it('reports 0% for a week without applications', () => {
+    const { current } = getWeekOverWeek([], NOW);
+    expect(current).toMatchObject({
+      applications: 0,
+      whatsappRate: 0,
+      phoneRate: 0,
+    });
+  });
+});
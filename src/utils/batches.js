@@ -0,0 +1,75 @@
+export const BATCH_MODES = ['online', 'offline', 'hybrid'];
+
+export const BATCH_STATUSES = ['upcoming', 'ongoing', 'completed'];
+
+export const EMPTY_BATCH = {
+  name: '',
+  startDate: '',
+  openDate: '',
+  capacity: '',
+  location: '',
+  mode: 'offline',
+  status: 'upcoming',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start dates are calendar dates ("2025-05-05"), read in local time
+export const parseBatchDate = (value) => {
+  if (!value) return null;
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day);
+};
+
+// Whole days from today until the start date; negative once it has started
+export const getDaysUntil = (startDate, now = new Date()) => {
+  const start = parseBatchDate(startDate);
+  if (!start) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((start - today) / DAY_MS);
+};
+
+export const formatCountdown = (days) => {
+  if (days === null) return 'No start date';
+  if (days === 0) return 'Starts today';
+  if (days === 1) return 'Starts tomorrow';
+  if (days > 0) return `Starts in ${days} days`;
+  return `Started ${-days} ${days === -1 ? 'day' : 'days'} ago`;
+};
+
+// Percentage of capacity taken, or null when no capacity is set
+export const getFillRate = (count, capacity) =>
+  Number(capacity) > 0 ? (count / Number(capacity)) * 100 : null;
+
+// Calendar date a "N days before" reminder corresponds to
+export const getReminderDate = (startDate, days) => {
+  const start = parseBatchDate(startDate);
+  if (!start) return null;
+  const date = new Date(start);
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+// One entry per batch known from either the batch records or the
+// candidates' batch column, with the number of candidates in it
+export const mergeBatches = (records, candidates) => {
+  const counts = {};
+  candidates.forEach((candidate) => {
+    if (candidate.batch) {
+      counts[candidate.batch] = (counts[candidate.batch] || 0) + 1;
+    }
+  });
+
+  const byName = new Map(
+    Object.keys(counts).map((name) => [name, { ...EMPTY_BATCH, name }])
+  );
+  records.forEach((record) => {
+    byName.set(record.name, { ...EMPTY_BATCH, ...record });
+  });
+
+  return [...byName.values()].map((batch) => ({
+    ...batch,
+    candidateCount: counts[batch.name] || 0,
+  }));
+};
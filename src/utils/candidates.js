@@ -0,0 +1,144 @@
+import {
+  STATUS_SCHEMA,
+  getStatusState,
+  isStatusField,
+} from '../config/statusSchema';
+import { isInDateRange } from './dateRange';
+
+// Every field on a candidate row, in sheet order, with a readable label
+export const CANDIDATE_FIELDS = [
+  { key: 'id', label: 'ID' },
+  { key: 'dateOfApplication', label: 'Date of Application' },
+  { key: 'fullName', label: 'Full Name' },
+  { key: 'contactNumber', label: 'Contact Number' },
+  { key: 'emailId', label: 'Email ID' },
+  { key: 'nameOfCollege', label: 'College' },
+  { key: 'stream', label: 'Stream' },
+  { key: 'yearOfCompletion', label: 'Year of Completion' },
+  { key: 'batch', label: 'Batch' },
+  { key: 'whatsappMsg', label: 'WhatsApp Message' },
+  { key: 'phoneEnquiry', label: 'Phone Enquiry' },
+  { key: 'online', label: 'Online Session' },
+  { key: 'program', label: 'Program' },
+];
+
+// Fields matched by the free-text search box
+export const SEARCH_FIELDS = [
+  'fullName',
+  'emailId',
+  'contactNumber',
+  'nameOfCollege',
+];
+
+// Filters that can be combined on top of the batch selection
+export const FILTER_FIELDS = [
+  'whatsappMsg',
+  'phoneEnquiry',
+  'online',
+  'program',
+  'nameOfCollege',
+  'stream',
+  'yearOfCompletion',
+];
+
+export const EMPTY_FILTERS = FILTER_FIELDS.reduce(
+  (acc, field) => ({ ...acc, [field]: '' }),
+  {}
+);
+
+const normalize = (value) =>
+  value === undefined || value === null ? '' : String(value).trim();
+
+// Filter value standing for a blank status ('' means "no filter")
+export const BLANK_FILTER_VALUE = '(blank)';
+
+// [{ value, label }] for a filter dropdown
+export const getFilterOptions = (candidates, field) => {
+  if (isStatusField(field)) {
+    return STATUS_SCHEMA[field].states.map((state) => ({
+      value: state.value || BLANK_FILTER_VALUE,
+      label: state.label,
+    }));
+  }
+  return [...new Set(candidates.map((c) => normalize(c[field])))]
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((value) => ({ value, label: value }));
+};
+
+const matchesSearch = (candidate, search) => {
+  const query = search.trim().toLowerCase();
+  if (!query) return true;
+  return SEARCH_FIELDS.some((field) =>
+    normalize(candidate[field]).toLowerCase().includes(query)
+  );
+};
+
+const matchesFilters = (candidate, filters) =>
+  Object.entries(filters).every(([field, value]) => {
+    if (!value) return true;
+    if (isStatusField(field)) {
+      const state = getStatusState(field, candidate[field]);
+      return state.value === (value === BLANK_FILTER_VALUE ? '' : value);
+    }
+    return normalize(candidate[field]) === value;
+  });
+
+// `dateRange` is a resolved { from, to } from utils/dateRange
+export const filterCandidates = (
+  candidates,
+  {
+    batch = 'All batches',
+    search = '',
+    filters = {},
+    dateRange = { from: null, to: null },
+  } = {}
+) =>
+  candidates.filter(
+    (candidate) =>
+      (batch === 'All batches' || candidate.batch === batch) &&
+      matchesSearch(candidate, search) &&
+      matchesFilters(candidate, filters) &&
+      isInDateRange(candidate, dateRange)
+  );
+
+const getStateIndex = (field, value) =>
+  STATUS_SCHEMA[field].states.indexOf(getStatusState(field, value));
+
+const compareValues = (key, a, b) => {
+  // Status columns sort in the order their states are configured
+  if (isStatusField(key)) {
+    return getStateIndex(key, a) - getStateIndex(key, b);
+  }
+  if (key === 'dateOfApplication') {
+    return (new Date(a).getTime() || 0) - (new Date(b).getTime() || 0);
+  }
+  return normalize(a).localeCompare(normalize(b), undefined, {
+    numeric: true,
+    sensitivity: 'base',
+  });
+};
+
+// Returns a sorted copy; a null sort keeps the sheet order
+export const sortCandidates = (candidates, sort) => {
+  if (!sort || !sort.key) return candidates;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...candidates].sort(
+    (a, b) => direction * compareValues(sort.key, a[sort.key], b[sort.key])
+  );
+};
+
+// Replaces one candidate with update(candidate). Returns the same array when
+// the id is unknown or update returns the candidate unchanged, so memoised
+// rows and derived stats don't recompute for nothing.
+export const replaceCandidate = (candidates, id, update) => {
+  const index = candidates.findIndex(
+    (candidate) => String(candidate.id) === String(id)
+  );
+  if (index === -1) return candidates;
+  const updated = update(candidates[index]);
+  if (updated === candidates[index]) return candidates;
+  const next = candidates.slice();
+  next[index] = updated;
+  return next;
+};
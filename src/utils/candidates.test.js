@@ -0,0 +1,40 @@
+import fixtures from '../api/fixtures/candidates.json';
+import { EMPTY_FILTERS, filterCandidates } from './candidates';
+
+const BATCH_14 = 'Batch 14 Full Stack Web Development';
+const BATCH_15 = 'Batch 15 Data Science Bootcamp';
+
+describe('filterCandidates', () => {
+  it('keeps every candidate for all batches', () => {
+    expect(filterCandidates(fixtures)).toHaveLength(fixtures.length);
+    expect(filterCandidates(fixtures, { batch: 'All batches' })).toHaveLength(
+      fixtures.length
+    );
+  });
+
+  it('keeps only the selected batch', () => {
+    const batch14 = filterCandidates(fixtures, { batch: BATCH_14 });
+    const batch15 = filterCandidates(fixtures, { batch: BATCH_15 });
+    expect(batch14).toHaveLength(8);
+    expect(batch15).toHaveLength(8);
+    expect(batch14.every((c) => c.batch === BATCH_14)).toBe(true);
+    expect(batch15.map((c) => c.fullName)).toContain('Diya Patel');
+  });
+
+  it('returns nothing for an unknown batch', () => {
+    expect(filterCandidates(fixtures, { batch: 'Batch 99' })).toEqual([]);
+  });
+
+  it('combines the batch with search and filters', () => {
+    const ghosted = filterCandidates(fixtures, {
+      batch: BATCH_15,
+      filters: { ...EMPTY_FILTERS, program: 'ghosted' },
+    });
+    expect(ghosted).toHaveLength(2);
+    expect(ghosted.every((c) => c.program === 'ghosted')).toBe(true);
+
+    expect(
+      filterCandidates(fixtures, { batch: BATCH_14, search: 'diya' })
+    ).toEqual([]);
+  });
+});
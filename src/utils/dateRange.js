@@ -0,0 +1,61 @@
+// Application date filter. The state is { preset, from, to }: a preset key
+// that is resolved against today, or custom 'YYYY-MM-DD' bounds from the
+// date inputs. Presets stay relative, so a saved "Last 7 days" view moves
+// along with the calendar.
+export const ALL_TIME = { preset: '', from: '', to: '' };
+
+export const DATE_PRESETS = [
+  { key: 'last7', label: 'Last 7 days' },
+  { key: 'thisMonth', label: 'This month' },
+  { key: 'batchOpened', label: 'Since batch opened' },
+];
+
+export const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Local midnight of a 'YYYY-MM-DD' date input value
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(match[1], match[2] - 1, match[3]) : null;
+};
+
+export const toDayValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+// { from, to } Dates for a date range state: `from` inclusive, `to`
+// exclusive, null for an open end. `batchOpenDate` is the 'YYYY-MM-DD' day
+// applications opened for the selected batch, for the "since batch opened"
+// preset.
+export const resolveDateRange = (
+  { preset, from, to },
+  { now = new Date(), batchOpenDate = '' } = {}
+) => {
+  const tomorrow = addDays(startOfDay(now), 1);
+  if (preset === 'last7') return { from: addDays(tomorrow, -7), to: tomorrow };
+  if (preset === 'thisMonth') {
+    return {
+      from: new Date(now.getFullYear(), now.getMonth(), 1),
+      to: tomorrow,
+    };
+  }
+  if (preset === 'batchOpened') {
+    return { from: parseDay(batchOpenDate), to: null };
+  }
+  const last = parseDay(to);
+  return { from: parseDay(from), to: last && addDays(last, 1) };
+};
+
+// Candidates without a readable application date only match an open range
+export const isInDateRange = (candidate, { from, to }) => {
+  if (!from && !to) return true;
+  const date = new Date(candidate.dateOfApplication);
+  if (Number.isNaN(date.getTime())) return false;
+  return (!from || date >= from) && (!to || date < to);
+};
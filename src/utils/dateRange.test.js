@@ -0,0 +1,99 @@
+import {
+  ALL_TIME,
+  isInDateRange,
+  resolveDateRange,
+  toDayValue,
+} from './dateRange';
+
+const NOW = new Date(2025, 2, 12, 15, 30); // Wed 12 Mar 2025
+
+const applied = (year, month, day, hour = 10) => ({
+  dateOfApplication: new Date(year, month - 1, day, hour).toISOString(),
+});
+
+const matching = (range, candidates) =>
+  candidates.filter((candidate) => isInDateRange(candidate, range));
+
+describe('resolveDateRange', () => {
+  it('leaves both ends open for all time', () => {
+    expect(resolveDateRange(ALL_TIME, { now: NOW })).toEqual({
+      from: null,
+      to: null,
+    });
+  });
+
+  it('covers today and the six days before for the last 7 days', () => {
+    const range = resolveDateRange(
+      { ...ALL_TIME, preset: 'last7' },
+      { now: NOW }
+    );
+    expect(toDayValue(range.from)).toBe('2025-03-06');
+    expect(
+      matching(range, [
+        applied(2025, 3, 5, 23),
+        applied(2025, 3, 6, 0),
+        applied(2025, 3, 12, 23),
+        applied(2025, 3, 13, 0),
+      ])
+    ).toHaveLength(2);
+  });
+
+  it('starts this month on the 1st', () => {
+    const range = resolveDateRange(
+      { ...ALL_TIME, preset: 'thisMonth' },
+      { now: NOW }
+    );
+    expect(toDayValue(range.from)).toBe('2025-03-01');
+    expect(
+      matching(range, [applied(2025, 2, 28), applied(2025, 3, 1)])
+    ).toHaveLength(1);
+  });
+
+  it('starts on the day applications opened for the batch', () => {
+    const range = resolveDateRange(
+      { ...ALL_TIME, preset: 'batchOpened' },
+      { now: NOW, batchOpenDate: '2025-02-10' }
+    );
+    expect(toDayValue(range.from)).toBe('2025-02-10');
+    expect(range.to).toBeNull();
+    expect(
+      matching(range, [applied(2025, 2, 9, 23), applied(2025, 2, 10, 0)])
+    ).toHaveLength(1);
+  });
+
+  it('includes the whole last day of a custom range', () => {
+    const range = resolveDateRange(
+      { preset: '', from: '2025-03-01', to: '2025-03-07' },
+      { now: NOW }
+    );
+    expect(
+      matching(range, [
+        applied(2025, 2, 28, 23),
+        applied(2025, 3, 1, 0),
+        applied(2025, 3, 7, 23),
+        applied(2025, 3, 8, 0),
+      ])
+    ).toHaveLength(2);
+  });
+
+  it('allows a custom range open at one end', () => {
+    const range = resolveDateRange(
+      { preset: '', from: '', to: '2025-03-01' },
+      { now: NOW }
+    );
+    expect(range.from).toBeNull();
+    expect(
+      matching(range, [applied(2024, 1, 1), applied(2025, 3, 2)])
+    ).toHaveLength(1);
+  });
+});
+
+describe('isInDateRange', () => {
+  it('only keeps undated candidates when the range is open', () => {
+    const undated = { dateOfApplication: '' };
+    expect(isInDateRange(undated, { from: null, to: null })).toBe(true);
+    expect(
+      isInDateRange(undated, { from: new Date(2025, 0, 1), to: null })
+    ).toBe(false);
+  });
+});
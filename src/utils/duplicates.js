@@ -0,0 +1,181 @@
+import {
+  STATUS_FIELD_KEYS,
+  getStatusRank,
+  getStatusState,
+} from '../config/statusSchema';
+import { EDITABLE_FIELDS, normalizeEmail } from './validation';
+import { toLocalNumber } from './phone';
+
+// Names at least this similar (0..1) at the same college count as a match
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Gmail ignores dots and +tags, so a.b+x@gmail.com is ab@gmail.com
+export const canonicalEmail = (value) => {
+  const email = normalizeEmail(value);
+  const [local, domain] = email.split('@');
+  if (!domain) return email;
+  const base = local.split('+')[0];
+  return domain === 'gmail.com' || domain === 'googlemail.com'
+    ? `${base.replace(/\./g, '')}@gmail.com`
+    : `${base}@${domain}`;
+};
+
+// Lowercase letters and single spaces, words sorted so order doesn't matter
+export const canonicalName = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+const canonicalCollege = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings, 0 for nothing in common
+export const similarity = (a, b) => {
+  if (!a && !b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Groups of likely duplicates. Rows are linked when they share a phone
+// number or email, or have near-identical names at the same college; links
+// are transitive. Returns [{ candidates, reasons }] for groups of 2+.
+export const findDuplicateGroups = (candidates) => {
+  const parent = candidates.map((_, index) => index);
+  const reasons = candidates.map(() => new Set());
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const link = (a, b, reason) => {
+    reasons[a].add(reason);
+    reasons[b].add(reason);
+    parent[find(a)] = find(b);
+  };
+
+  // Exact keys: link every row to the first row with the same key
+  const linkByKey = (getKey, reason) => {
+    const firstByKey = new Map();
+    candidates.forEach((candidate, index) => {
+      const key = getKey(candidate);
+      if (!key) return;
+      if (firstByKey.has(key)) link(firstByKey.get(key), index, reason);
+      else firstByKey.set(key, index);
+    });
+  };
+
+  linkByKey((c) => {
+    const phone = toLocalNumber(c.contactNumber);
+    return phone.length >= 10 ? phone : null;
+  }, 'phone');
+  linkByKey((c) => canonicalEmail(c.emailId) || null, 'email');
+
+  // Fuzzy names are only compared within the same college, and each
+  // distinct name only once, which keeps this fast for large batches
+  const byCollege = new Map();
+  candidates.forEach((candidate, index) => {
+    const college = canonicalCollege(candidate.nameOfCollege);
+    const name = canonicalName(candidate.fullName);
+    if (!college || !name) return;
+    if (!byCollege.has(college)) byCollege.set(college, new Map());
+    const names = byCollege.get(college);
+    if (names.has(name)) link(names.get(name), index, 'name');
+    else names.set(name, index);
+  });
+  byCollege.forEach((names) => {
+    const entries = [...names.entries()];
+    for (let i = 0; i < entries.length; i += 1) {
+      for (let j = i + 1; j < entries.length; j += 1) {
+        const [a, indexA] = entries[i];
+        const [b, indexB] = entries[j];
+        // Too different in length to reach the threshold
+        if (
+          Math.abs(a.length - b.length) >
+          (1 - NAME_SIMILARITY_THRESHOLD) * Math.max(a.length, b.length)
+        ) {
+          continue;
+        }
+        if (similarity(a, b) >= NAME_SIMILARITY_THRESHOLD) {
+          link(indexA, indexB, 'name');
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, { candidates: [], reasons: new Set() });
+    }
+    const group = groups.get(root);
+    group.candidates.push(candidate);
+    reasons[index].forEach((reason) => group.reasons.add(reason));
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.candidates.length > 1)
+    .map((group) => ({
+      candidates: group.candidates,
+      reasons: [...group.reasons],
+    }));
+};
+
+// The record to keep by default: the earliest application
+export const pickPrimary = (group) =>
+  [...group].sort(
+    (a, b) =>
+      (new Date(a.dateOfApplication).getTime() || 0) -
+      (new Date(b.dateOfApplication).getTime() || 0)
+  )[0];
+
+// Values to write onto the primary: the most advanced state of each status
+// field, plus any detail field the primary is missing
+export const getMergedValues = (primary, others) => {
+  const values = {};
+  STATUS_FIELD_KEYS.forEach((field) => {
+    const best = [primary, ...others].reduce((winner, candidate) =>
+      getStatusRank(field, candidate[field]) >
+      getStatusRank(field, winner[field])
+        ? candidate
+        : winner
+    );
+    const value = getStatusState(field, best[field]).value;
+    if (value !== getStatusState(field, primary[field]).value) {
+      values[field] = value;
+    }
+  });
+  EDITABLE_FIELDS.forEach(({ key }) => {
+    if (String(primary[key] || '').trim()) return;
+    const donor = others.find((candidate) =>
+      String(candidate[key] || '').trim()
+    );
+    if (donor) values[key] = donor[key];
+  });
+  return values;
+};
@@ -0,0 +1,96 @@
+import { utils as xlsxUtils, writeFile as writeXlsxFile } from 'xlsx';
+
+import { getStatusLabel, isStatusField } from '../config/statusSchema';
+import { CANDIDATE_FIELDS } from './candidates';
+
+// Exported columns, in order; any other fields on the rows are appended
+export const EXPORT_COLUMNS = CANDIDATE_FIELDS;
+
+const getColumns = (candidates) => {
+  const known = new Set(EXPORT_COLUMNS.map((column) => column.key));
+  const extra = [];
+  candidates.forEach((candidate) => {
+    Object.keys(candidate).forEach((key) => {
+      if (!known.has(key)) {
+        known.add(key);
+        extra.push({ key, label: key });
+      }
+    });
+  });
+  return [...EXPORT_COLUMNS, ...extra];
+};
+
+const getCellValue = (candidate, key) => {
+  if (isStatusField(key)) return getStatusLabel(key, candidate[key]);
+  const value = candidate[key];
+  return value === undefined || value === null ? '' : value;
+};
+
+// Header row followed by one row per candidate
+export const toRows = (candidates) => {
+  const columns = getColumns(candidates);
+  return [
+    columns.map((column) => column.label),
+    ...candidates.map((candidate) =>
+      columns.map((column) => getCellValue(candidate, column.key))
+    ),
+  ];
+};
+
+// Text Excel would read as a formula when it opens a CSV. Rows come from a
+// public form, so such values get a leading ' to keep them plain text. Phone
+// numbers like "+91 98450 12345" are left as they are. XLSX cells are
+// written as strings and never evaluated, so they need no guard.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PHONE_NUMBER = /^\+[\d ]+$/;
+
+const neutralizeFormula = (text) =>
+  FORMULA_START.test(text) && !PHONE_NUMBER.test(text) ? `'${text}` : text;
+
+const escapeCsvValue = (value) => {
+  const text = neutralizeFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (candidates) =>
+  toRows(candidates)
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+
+export const getExportFileName = (batch, extension) => {
+  const scope =
+    batch === 'All batches'
+      ? 'all-batches'
+      : batch
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, '-')
+          .replace(/^-|-$/g, '');
+  const date = new Date().toISOString().slice(0, 10);
+  return `candidates-${scope}-${date}.${extension}`;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCSV = (candidates, fileName) => {
+  // Prefix a BOM so Excel opens UTF-8 names correctly
+  const blob = new Blob(['\uFEFF', toCSV(candidates)], {
+    type: 'text/csv;charset=utf-8',
+  });
+  downloadBlob(blob, fileName);
+};
+
+export const downloadXLSX = (candidates, fileName) => {
+  const sheet = xlsxUtils.aoa_to_sheet(toRows(candidates));
+  const workbook = xlsxUtils.book_new();
+  xlsxUtils.book_append_sheet(workbook, sheet, 'Candidates');
+  writeXlsxFile(workbook, fileName);
+};
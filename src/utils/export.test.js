@@ -0,0 +1,49 @@
+import fixtures from '../api/fixtures/candidates.json';
+import { toCSV, toRows } from './export';
+import { cleanCandidate } from './validation';
+
+// The fields of the only data row of a CSV export, split on commas outside
+// quotes
+const getCsvCells = (candidate) => {
+  const [header, row] = toCSV([candidate]).split('\r\n');
+  const split = (line) => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g);
+  const labels = split(header).map((cell) => cell.replace(/,$/, ''));
+  const values = split(row).map((cell) => cell.replace(/,$/, ''));
+  return (label) => values[labels.indexOf(label)];
+};
+
+describe('toCSV', () => {
+  it('exports form values that look like formulas as text', () => {
+    const cell = getCsvCells({
+      ...fixtures[0],
+      fullName: '=HYPERLINK("http://example.com","Click")',
+      emailId: '@SUM(1+1)',
+      nameOfCollege: '-2+3',
+      stream: '+cmd',
+    });
+
+    expect(cell('Full Name')).toBe(
+      `"'=HYPERLINK(""http://example.com"",""Click"")"`
+    );
+    expect(cell('Email ID')).toBe("'@SUM(1+1)");
+    expect(cell('College')).toBe("'-2+3");
+    expect(cell('Stream')).toBe("'+cmd");
+  });
+
+  it('leaves formatted phone numbers alone', () => {
+    const candidate = { ...fixtures[0], ...cleanCandidate(fixtures[0]) };
+    expect(candidate.contactNumber).toBe('+91 98534 64097');
+    expect(getCsvCells(candidate)('Contact Number')).toBe('+91 98534 64097');
+  });
+
+  it('leaves ordinary values alone', () => {
+    expect(toCSV([fixtures[0]])).not.toMatch(/(^|,)'/m);
+  });
+});
+
+describe('toRows', () => {
+  it('keeps values as they are for the XLSX export', () => {
+    const [header, row] = toRows([{ ...fixtures[0], stream: '=1+1' }]);
+    expect(row[header.indexOf('Stream')]).toBe('=1+1');
+  });
+});
@@ -0,0 +1,16 @@
+// Dates are shown the same way everywhere: 05 Mar 2025, 14:30
+export const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+export const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
@@ -0,0 +1,124 @@
+import Papa from 'papaparse';
+import { read as readWorkbook, utils as xlsxUtils } from 'xlsx';
+
+import {
+  EDITABLE_FIELDS,
+  cleanCandidate,
+  findDuplicates,
+  validateCandidate,
+} from './validation';
+
+// Fields an imported column can be mapped to, in form order
+export const IMPORT_FIELDS = EDITABLE_FIELDS;
+
+// Other header spellings seen in placement cell spreadsheets
+const HEADER_ALIASES = {
+  fullName: ['name', 'candidate name', 'student name'],
+  contactNumber: ['phone', 'mobile', 'mobile number', 'phone number'],
+  emailId: ['email', 'email address', 'mail'],
+  nameOfCollege: ['college', 'college name', 'institute', 'institution'],
+  stream: ['branch', 'department', 'course'],
+  yearOfCompletion: [
+    'year',
+    'passing year',
+    'graduation year',
+    'year of passing',
+  ],
+  batch: ['batch name', 'program batch'],
+};
+
+const normalizeHeader = (header) =>
+  String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const readFile = (file, asText) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (asText) reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+  });
+
+// Rows of cell values from the first sheet of an XLSX workbook. `xlsx` must
+// be the SheetJS 0.20.x build (see package.json): the last release on npm,
+// 0.18.5, is open to prototype pollution and ReDoS from crafted files.
+const readXlsxRows = (data) => {
+  const workbook = readWorkbook(data, { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return xlsxUtils.sheet_to_json(sheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    blankrows: false,
+  });
+};
+
+// Reads a CSV file, or the first sheet of an XLSX file, into a header row and
+// data rows of strings; fully blank rows are dropped
+export const readSpreadsheet = async (file) => {
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  const [headers = [], ...rows] = isCsv
+    ? Papa.parse(await readFile(file, true), { skipEmptyLines: 'greedy' }).data
+    : readXlsxRows(await readFile(file, false));
+  return {
+    headers: headers.map((header) => String(header).trim()),
+    rows: rows
+      .map((row) => row.map((cell) => String(cell).trim()))
+      .filter((row) => row.some(Boolean)),
+  };
+};
+
+// { field: column index } for every field with a recognisable header
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return IMPORT_FIELDS.reduce((acc, { key, label }) => {
+    const names = [key.toLowerCase(), normalizeHeader(label)].concat(
+      HEADER_ALIASES[key] || []
+    );
+    const index = normalized.findIndex(
+      (header, i) => names.includes(header) && !Object.values(acc).includes(i)
+    );
+    return index === -1 ? acc : { ...acc, [key]: index };
+  }, {});
+};
+
+// Applies the mapping and checks every row. Each result has the sheet
+// `rowNumber` (header is row 1), the cleaned `values`, validation `errors`,
+// existing candidates it `duplicates` and `duplicateOfRow` when an earlier
+// row in the same file has the same email or phone number.
+export const buildImportRows = (rows, mapping, candidates, defaultBatch) => {
+  const accepted = [];
+  return rows.map((row, index) => {
+    const raw = IMPORT_FIELDS.reduce(
+      (acc, { key }) => ({
+        ...acc,
+        [key]: mapping[key] === undefined ? '' : row[mapping[key]] || '',
+      }),
+      {}
+    );
+    if (!raw.batch) raw.batch = defaultBatch || '';
+    const values = cleanCandidate(raw);
+    const errors = validateCandidate(values);
+    const rowNumber = index + 2;
+    const [earlier] = findDuplicates(values, accepted);
+    if (Object.keys(errors).length === 0) {
+      accepted.push({ ...values, id: `row-${rowNumber}`, rowNumber });
+    }
+    return {
+      rowNumber,
+      values,
+      errors,
+      duplicates: findDuplicates(values, candidates),
+      duplicateOfRow: earlier ? earlier.rowNumber : null,
+    };
+  });
+};
+
+export const isDuplicateRow = (row) =>
+  row.duplicates.length > 0 || row.duplicateOfRow !== null;
+
+export const isValidRow = (row) => Object.keys(row.errors).length === 0;
@@ -0,0 +1,48 @@
+import { utils as xlsxUtils, write as writeWorkbook } from 'xlsx';
+
+import { readSpreadsheet } from './importCandidates';
+
+describe('readSpreadsheet', () => {
+  it('reads a CSV file with quoted values and blank lines', async () => {
+    const file = new File(
+      [
+        'Full Name,College\r\n',
+        '"Sharma, Aarav"," IIT ""Delhi"" "\r\n',
+        '\r\n',
+        ',\r\n',
+        'Diya Patel,NIT\r\n',
+      ],
+      'applicants.csv',
+      { type: 'text/csv' }
+    );
+
+    expect(await readSpreadsheet(file)).toEqual({
+      headers: ['Full Name', 'College'],
+      rows: [
+        ['Sharma, Aarav', 'IIT "Delhi"'],
+        ['Diya Patel', 'NIT'],
+      ],
+    });
+  });
+
+  it('reads the first sheet of an XLSX file', async () => {
+    const workbook = xlsxUtils.book_new();
+    xlsxUtils.book_append_sheet(
+      workbook,
+      xlsxUtils.aoa_to_sheet([
+        ['Full Name', 'Year'],
+        ['Aarav Sharma', 2024],
+      ]),
+      'Applicants'
+    );
+    const file = new File(
+      [writeWorkbook(workbook, { type: 'array', bookType: 'xlsx' })],
+      'applicants.xlsx'
+    );
+
+    expect(await readSpreadsheet(file)).toEqual({
+      headers: ['Full Name', 'Year'],
+      rows: [['Aarav Sharma', '2024']],
+    });
+  });
+});
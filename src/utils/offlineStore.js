@@ -0,0 +1,40 @@
+import { openDB } from 'idb';
+
+const DB_NAME = 'candidate-dashboard';
+const STORE = 'snapshots';
+
+let dbPromise = null;
+
+// Null where IndexedDB is unavailable (old browsers, some private modes, tests)
+const getDB = () => {
+  if (typeof indexedDB === 'undefined') return null;
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, 1, {
+      upgrade(db) {
+        db.createObjectStore(STORE);
+      },
+    });
+  }
+  return dbPromise;
+};
+
+// IndexedDB snapshots of server data for offline use. Like the localStorage
+// helpers they never throw: a failed cache write mustn't break the page.
+export const saveSnapshot = async (key, data, syncedAt) => {
+  try {
+    const db = await getDB();
+    if (db) await db.put(STORE, { data, syncedAt }, key);
+  } catch (err) {
+    // Best effort; the next change tries again
+  }
+};
+
+// Resolves to { data, syncedAt } or null
+export const loadSnapshot = async (key) => {
+  try {
+    const db = await getDB();
+    return (db && (await db.get(STORE, key))) || null;
+  } catch (err) {
+    return null;
+  }
+};
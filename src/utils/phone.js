@@ -0,0 +1,41 @@
+// Phone numbers are Indian mobiles. The sheet has them in every shape:
+// "98450 12345", "+91-9845012345", "09845012345".
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+// The 10-digit national number, or the digits as-is if they don't fit
+export const toLocalNumber = (value) => {
+  const digits = digitsOnly(value);
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+export const isValidPhone = (value) =>
+  /^[6-9]\d{9}$/.test(toLocalNumber(value));
+
+export const DEFAULT_COUNTRY_CODE = '91';
+
+// Country code plus national number, e.g. "919845012345"; null if invalid
+export const toInternationalNumber = (
+  value,
+  countryCode = DEFAULT_COUNTRY_CODE
+) => (isValidPhone(value) ? `${countryCode}${toLocalNumber(value)}` : null);
+
+// "+91 98450 12345"; invalid numbers come back unchanged so they stay visible
+export const formatPhone = (value) => {
+  if (!isValidPhone(value)) return String(value || '').trim();
+  const local = toLocalNumber(value);
+  return `+${DEFAULT_COUNTRY_CODE} ${local.slice(0, 5)} ${local.slice(5)}`;
+};
+
+export const getWhatsAppLink = (value, message) => {
+  const number = toInternationalNumber(value);
+  return number
+    ? `https://wa.me/${number}?text=${encodeURIComponent(message)}`
+    : null;
+};
+
+export const getTelLink = (value) => {
+  const number = toInternationalNumber(value);
+  return number ? `tel:+${number}` : null;
+};
@@ -0,0 +1,17 @@
+// Days before the program start that reminders go out
+export const REMINDER_OFFSETS = [10, 7, 5, 3];
+
+export const DEFAULT_REMINDER_TEMPLATE = {
+  subject: '{batch} starts in {days} days',
+  body:
+    'Hi {fullName},\n\n' +
+    'This is a reminder that {batch} starts in {days} days. ' +
+    'Please make sure you have completed the pre-program checklist.\n\n' +
+    'See you soon!',
+};
+
+// Sent reminders for a given offset, used to warn before sending twice
+export const getPreviousSends = (log, days) =>
+  log.filter(
+    (reminder) => reminder.status === 'sent' && reminder.days === days
+  );
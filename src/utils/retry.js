@@ -0,0 +1,21 @@
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors and 5xx/408/429 responses are worth another attempt;
+// other 4xx responses will fail the same way again
+export const isRetryableError = (err) =>
+  !err.status || err.status >= 500 || err.status === 408 || err.status === 429;
+
+// Calls fn until it resolves, waiting baseDelay, 2x, 4x... between attempts
+export const withRetry = async (
+  fn,
+  { retries = 3, baseDelay = 500, shouldRetry = isRetryableError } = {}
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      await wait(baseDelay * 2 ** attempt);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+import {
+  STATUS_FIELD_KEYS,
+  STATUS_SCHEMA,
+  getStatusState,
+} from '../config/statusSchema';
+
+const TOP_YEARS = 3;
+
+// Everything the stats cards and status breakdown show, from one pass over
+// the candidates:
+//   candidateCount, whatsappSent, phoneEnquiryDone, onlineAttended
+//   topYears         [{ year, count }], most common years of completion
+//   attendanceRate   program attendance, complete / final outcomes × 100
+//   statusBreakdown  [{ field, counts: [{ ...state, count }] }]
+export const getCandidateStats = (candidates) => {
+  const stateCounts = Object.fromEntries(
+    STATUS_FIELD_KEYS.map((field) => [field, new Map()])
+  );
+  const yearsCount = new Map();
+
+  candidates.forEach((candidate) => {
+    STATUS_FIELD_KEYS.forEach((field) => {
+      const state = getStatusState(field, candidate[field]);
+      const counts = stateCounts[field];
+      counts.set(state, (counts.get(state) || 0) + 1);
+    });
+    if (candidate.yearOfCompletion) {
+      yearsCount.set(
+        candidate.yearOfCompletion,
+        (yearsCount.get(candidate.yearOfCompletion) || 0) + 1
+      );
+    }
+  });
+
+  const countWhere = (field, predicate) =>
+    STATUS_SCHEMA[field].states
+      .filter(predicate)
+      .reduce((sum, state) => sum + (stateCounts[field].get(state) || 0), 0);
+  const countComplete = (field) => countWhere(field, (state) => state.complete);
+
+  const programOutcomes = countWhere('program', (state) => state.final);
+
+  return {
+    candidateCount: candidates.length,
+    whatsappSent: countComplete('whatsappMsg'),
+    phoneEnquiryDone: countComplete('phoneEnquiry'),
+    onlineAttended: countComplete('online'),
+    topYears: [...yearsCount.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_YEARS)
+      .map(([year, count]) => ({ year, count })),
+    attendanceRate:
+      programOutcomes > 0
+        ? (countComplete('program') / programOutcomes) * 100
+        : 0,
+    statusBreakdown: STATUS_FIELD_KEYS.map((field) => ({
+      field,
+      counts: STATUS_SCHEMA[field].states.map((state) => ({
+        ...state,
+        count: stateCounts[field].get(state) || 0,
+      })),
+    })),
+  };
+};
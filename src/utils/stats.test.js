@@ -0,0 +1,73 @@
+import fixtures from '../api/fixtures/candidates.json';
+import { getCandidateStats } from './stats';
+
+const candidate = (overrides) => ({
+  whatsappMsg: 'pending',
+  phoneEnquiry: 'not done',
+  online: '',
+  program: '',
+  ...overrides,
+});
+
+describe('getCandidateStats', () => {
+  it('reports the fixture totals', () => {
+    const stats = getCandidateStats(fixtures);
+    expect(stats.candidateCount).toBe(16);
+    // 7 attended out of 10 program outcomes (3 ghosted, 6 not set)
+    expect(stats.attendanceRate).toBeCloseTo(70);
+  });
+
+  it('only counts final outcomes in the attendance rate', () => {
+    const stats = getCandidateStats([
+      candidate({ program: 'attended' }),
+      candidate({ program: 'ghosted' }),
+      candidate({ program: 'dropped' }),
+      candidate({ program: 'attended' }),
+      candidate({ program: 'confirmed' }),
+      candidate({ program: '' }),
+    ]);
+    expect(stats.attendanceRate).toBeCloseTo(50);
+  });
+
+  it('ignores case, whitespace and unknown program values', () => {
+    const stats = getCandidateStats([
+      candidate({ program: 'Attended ' }),
+      candidate({ program: 'maybe' }),
+    ]);
+    expect(stats.attendanceRate).toBe(100);
+  });
+
+  it('has a 0% attendance rate without outcomes', () => {
+    expect(getCandidateStats([candidate({})]).attendanceRate).toBe(0);
+    expect(getCandidateStats([]).attendanceRate).toBe(0);
+  });
+
+  it('lists the three most common years, most common first', () => {
+    const years = [
+      '2023',
+      '2024',
+      '2024',
+      '2022',
+      '2024',
+      '2023',
+      '2021',
+      '',
+    ].map((yearOfCompletion) => candidate({ yearOfCompletion }));
+    expect(getCandidateStats(years).topYears).toEqual([
+      { year: '2024', count: 3 },
+      { year: '2023', count: 2 },
+      { year: '2022', count: 1 },
+    ]);
+  });
+
+  it('counts completed outreach per status', () => {
+    const stats = getCandidateStats([
+      candidate({ whatsappMsg: 'sent', phoneEnquiry: 'done' }),
+      candidate({ whatsappMsg: 'sent', online: 'attended' }),
+      candidate({ online: 'absent' }),
+    ]);
+    expect(stats.whatsappSent).toBe(2);
+    expect(stats.phoneEnquiryDone).toBe(1);
+    expect(stats.onlineAttended).toBe(1);
+  });
+});
@@ -0,0 +1,17 @@
+// localStorage helpers that never throw (private mode, quota, bad JSON)
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Persisting is best effort; the in-memory state still works
+  }
+};
@@ -0,0 +1,25 @@
+// Fills {placeholders} from the candidate and extra values; unknown
+// placeholders are left as they are so typos stay visible in the preview
+export const renderTemplate = (template, candidate = {}, extra = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = key in extra ? extra[key] : candidate[key];
+    return value === undefined || value === null || value === ''
+      ? match
+      : String(value);
+  });
+
+// Placeholder names offered in the template editors
+export const TEMPLATE_PLACEHOLDERS = [
+  'fullName',
+  'batch',
+  'days',
+  'emailId',
+  'contactNumber',
+  'nameOfCollege',
+  'stream',
+];
+
+export const DEFAULT_WHATSAPP_TEMPLATE =
+  'Hi {fullName}, this is about your application to {batch}. ' +
+  'Could you confirm you are still planning to join? Reply here with any ' +
+  'questions.';
@@ -0,0 +1,92 @@
+import { formatPhone, isValidPhone, toLocalNumber } from './phone';
+
+// Fields editable from the candidate form, in form order
+export const EDITABLE_FIELDS = [
+  { key: 'fullName', label: 'Full Name', required: true },
+  { key: 'contactNumber', label: 'Contact Number', required: true },
+  { key: 'emailId', label: 'Email ID', required: true },
+  { key: 'nameOfCollege', label: 'College', required: true },
+  { key: 'stream', label: 'Stream', required: false },
+  { key: 'yearOfCompletion', label: 'Year of Completion', required: true },
+  { key: 'batch', label: 'Batch', required: true },
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeEmail = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+export const isValidEmail = (value) =>
+  EMAIL_PATTERN.test(normalizeEmail(value));
+
+// Graduation years a little in the past up to a few years ahead
+export const isValidYear = (value, now = new Date()) => {
+  const year = Number(value);
+  return (
+    /^\d{4}$/.test(String(value).trim()) &&
+    year >= 1990 &&
+    year <= now.getFullYear() + 5
+  );
+};
+
+// Returns { field: message } for every invalid field; empty when valid
+export const validateCandidate = (values) => {
+  const errors = {};
+  EDITABLE_FIELDS.forEach(({ key, label, required }) => {
+    if (required && !String(values[key] || '').trim()) {
+      errors[key] = `${label} is required`;
+    }
+  });
+  if (!errors.contactNumber && !isValidPhone(values.contactNumber)) {
+    errors.contactNumber = 'Enter a 10-digit mobile number';
+  }
+  if (!errors.emailId && !isValidEmail(values.emailId)) {
+    errors.emailId = 'Enter a valid email address';
+  }
+  if (!errors.yearOfCompletion && !isValidYear(values.yearOfCompletion)) {
+    errors.yearOfCompletion = `Enter a year between 1990 and ${
+      new Date().getFullYear() + 5
+    }`;
+  }
+  return errors;
+};
+
+// Existing candidates sharing the email or phone number, except excludeId
+export const findDuplicates = (values, candidates, excludeId) => {
+  const email = normalizeEmail(values.emailId);
+  const phone = toLocalNumber(values.contactNumber);
+  return candidates.filter(
+    (candidate) =>
+      String(candidate.id) !== String(excludeId) &&
+      ((email && normalizeEmail(candidate.emailId) === email) ||
+        (phone.length >= 10 &&
+          toLocalNumber(candidate.contactNumber) === phone))
+  );
+};
+
+// Trimmed values ready to save, phone number as "+91 98450 12345"
+export const cleanCandidate = (values) =>
+  EDITABLE_FIELDS.reduce(
+    (acc, { key }) => ({
+      ...acc,
+      [key]:
+        key === 'contactNumber'
+          ? formatPhone(values[key])
+          : String(values[key] || '').trim(),
+    }),
+    {}
+  );
+
+// Fields of cleaned form `values` that differ from the stored candidate.
+// Phone numbers are compared by their digits, so a number stored as
+// "9845012345" isn't sent again just because the form formatted it.
+export const getChangedFields = (existing, values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(([field, value]) =>
+      field === 'contactNumber'
+        ? toLocalNumber(existing[field]) !== toLocalNumber(value)
+        : String(existing[field] ?? '') !== value
+    )
+  );
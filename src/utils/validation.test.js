@@ -0,0 +1,24 @@
+import fixtures from '../api/fixtures/candidates.json';
+import { cleanCandidate, getChangedFields } from './validation';
+
+describe('getChangedFields', () => {
+  const [candidate] = fixtures;
+
+  it('ignores a phone number that was only reformatted', () => {
+    const values = cleanCandidate({ ...candidate, fullName: 'Aarav S.' });
+    expect(values.contactNumber).toBe('+91 98534 64097');
+    expect(getChangedFields(candidate, values)).toEqual({
+      fullName: 'Aarav S.',
+    });
+  });
+
+  it('sends a phone number whose digits changed', () => {
+    const values = cleanCandidate({
+      ...candidate,
+      contactNumber: '98450 12345',
+    });
+    expect(getChangedFields(candidate, values)).toEqual({
+      contactNumber: '+91 98450 12345',
+    });
+  });
+});
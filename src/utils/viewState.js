@@ -0,0 +1,95 @@
+import {
+  STATUS_SCHEMA,
+  getStatusLabel,
+  isStatusField,
+} from '../config/statusSchema';
+import { CANDIDATE_FIELDS, EMPTY_FILTERS, FILTER_FIELDS } from './candidates';
+import { ALL_TIME, DATE_PRESETS } from './dateRange';
+
+export const ALL_BATCHES = 'All batches';
+
+// Tabs of the main area; the first one is the default
+export const VIEW_KEYS = ['candidates', 'analytics', 'reminders', 'duplicates'];
+
+const FIELD_LABELS = Object.fromEntries(
+  CANDIDATE_FIELDS.map((field) => [field.key, field.label])
+);
+
+// Reads { batch, search, filters, dateRange, sort, view } from a query
+// string such as
+// ?batch=Batch%20X&q=anna&phoneEnquiry=not%20done&range=last7&sort=fullName:desc
+export const parseViewState = (query) => {
+  const params = new URLSearchParams(query);
+  const [sortKey, direction] = (params.get('sort') || '').split(':');
+  const view = params.get('view');
+  const preset = params.get('range');
+  return {
+    batch: params.get('batch') || ALL_BATCHES,
+    search: params.get('q') || '',
+    filters: FILTER_FIELDS.reduce(
+      (acc, field) => ({ ...acc, [field]: params.get(field) || '' }),
+      EMPTY_FILTERS
+    ),
+    dateRange: DATE_PRESETS.some((option) => option.key === preset)
+      ? { ...ALL_TIME, preset }
+      : {
+          ...ALL_TIME,
+          from: params.get('from') || '',
+          to: params.get('to') || '',
+        },
+    sort: sortKey
+      ? { key: sortKey, direction: direction === 'desc' ? 'desc' : 'asc' }
+      : null,
+    view: VIEW_KEYS.includes(view) ? view : VIEW_KEYS[0],
+  };
+};
+
+// The inverse of parseViewState; defaults are left out so links stay short
+export const serializeViewState = ({
+  batch,
+  search,
+  filters,
+  dateRange = ALL_TIME,
+  sort,
+  view,
+}) => {
+  const params = new URLSearchParams();
+  if (batch && batch !== ALL_BATCHES) params.set('batch', batch);
+  if (search) params.set('q', search);
+  FILTER_FIELDS.forEach((field) => {
+    if (filters[field]) params.set(field, filters[field]);
+  });
+  if (dateRange.preset) params.set('range', dateRange.preset);
+  else {
+    if (dateRange.from) params.set('from', dateRange.from);
+    if (dateRange.to) params.set('to', dateRange.to);
+  }
+  if (sort) params.set('sort', `${sort.key}:${sort.direction}`);
+  if (view && view !== VIEW_KEYS[0]) params.set('view', view);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Suggested name for a saved view, e.g. "Batch X – Phone not done"
+export const describeViewState = ({
+  batch,
+  search,
+  filters,
+  dateRange = ALL_TIME,
+}) => {
+  const parts = FILTER_FIELDS.filter((field) => filters[field]).map((field) =>
+    isStatusField(field)
+      ? `${STATUS_SCHEMA[field].label} ${getStatusLabel(
+          field,
+          filters[field]
+        ).toLowerCase()}`
+      : `${FIELD_LABELS[field]} ${filters[field]}`
+  );
+  const preset = DATE_PRESETS.find((option) => option.key === dateRange.preset);
+  if (preset) parts.push(preset.label.toLowerCase());
+  else if (dateRange.from || dateRange.to) {
+    parts.push(`applied ${dateRange.from || '…'} to ${dateRange.to || '…'}`);
+  }
+  if (search) parts.push(`"${search}"`);
+  return [batch, parts.join(', ')].filter(Boolean).join(' – ');
+};